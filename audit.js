@@ -0,0 +1,134 @@
+/**
+ * Static audit of a generated page for the variant comparison — the markup alone, no browser, no network.
+ * auditPage(html) → { size, companies, jsonLd, audit }
+ *   size      — bytes of the HTML
+ *   companies — distinct companies shown in cards and table rows (verify.js)
+ *   jsonLd    — { valid, scripts, types, itemList, errors, mismatches }: every ld+json script parses and has
+ *               @context / @type; `mismatches` — ItemList vs page disagreements found by consistency.js
+ *   audit     — { score, checks: [{ id, label, group, passed, weight, detail }] }: Lighthouse-style SEO,
+ *               accessibility and best-practice checks; score is the passed share of the weights, 0–100
+ */
+
+const { parseDocument } = require('htmlparser2');
+const { collectCompanyLinks } = require('./verify');
+const { checkConsistency, jsonLdCompanies } = require('./consistency');
+
+const MAX_DOM_ELEMENTS = 1500;
+
+// consistency.js codes about the JSON-LD list
+const JSONLD_CODES = ['jsonld_missing', 'jsonld_not_shown', 'not_in_jsonld', 'rank_mismatch'];
+
+// ============ DOM HELPERS ============
+
+const isTag = (node) => node.type === 'tag' || node.type === 'script' || node.type === 'style';
+
+function findAll(node, test, found = []) {
+  for (const child of node.children || []) {
+    if (!isTag(child)) continue;
+    if (test(child)) found.push(child);
+    findAll(child, test, found);
+  }
+  return found;
+}
+
+function textOf(node) {
+  if (node.type === 'text') return node.data;
+  if (!isTag(node) || node.name === 'script' || node.name === 'style') return '';
+  return (node.children || []).map(textOf).join(' ');
+}
+
+const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+const byName = (name) => (node) => node.name === name;
+
+// ============ JSON-LD ============
+
+function auditJsonLd(html) {
+  const scripts = [...html.matchAll(/<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)];
+  const errors = [];
+  const types = new Set();
+
+  scripts.forEach((m, i) => {
+    let data;
+    try { data = JSON.parse(m[1]); }
+    catch (err) {
+      errors.push(`Скрипт ${i + 1}: JSON не разбирается (${err.message})`);
+      return;
+    }
+    for (const node of [].concat(data['@graph'] ? data['@graph'] : data)) {
+      if (!node || typeof node !== 'object') continue;
+      const context = data['@context'] || node['@context'];
+      if (!/schema\.org/i.test(JSON.stringify(context || ''))) errors.push(`Скрипт ${i + 1}: нет @context schema.org`);
+      if (!node['@type']) errors.push(`Скрипт ${i + 1}: объект без @type`);
+      [].concat(node['@type'] || []).forEach(t => types.add(t));
+    }
+  });
+  if (!scripts.length) errors.push('На странице нет JSON-LD');
+
+  const listed = jsonLdCompanies(html);
+  const mismatches = checkConsistency(html, { step: 'audit' }).warnings.filter(w => JSONLD_CODES.includes(w.code)).length;
+  return {
+    valid: scripts.length > 0 && !errors.length,
+    scripts: scripts.length,
+    types: [...types],
+    itemList: listed ? listed.length : 0,
+    errors,
+    mismatches,
+  };
+}
+
+// ============ STATIC AUDIT ============
+
+function runChecks(html) {
+  const doc = parseDocument(html, { lowerCaseTags: true, lowerCaseAttributeNames: true });
+  const all = findAll(doc, () => true);
+  const first = (name) => all.find(byName(name));
+  const meta = (name) => all.find(n => n.name === 'meta' && [n.attribs.name, n.attribs.property].includes(name))?.attribs.content || '';
+
+  const title = clean(textOf(first('title') || {}));
+  const description = clean(meta('description'));
+  const headings = all.filter(n => /^h[1-6]$/.test(n.name)).map(n => parseInt(n.name[1], 10));
+  const skipped = headings.filter((level, i) => i > 0 && level > headings[i - 1] + 1).length;
+  const images = all.filter(byName('img'));
+  const noAlt = images.filter(n => n.attribs.alt === undefined).length;
+  const links = all.filter(byName('a'));
+  const noText = links.filter(n => !clean(textOf(n)) && !n.attribs['aria-label'] && !n.attribs.title && !findAll(n, x => x.name === 'img' && x.attribs.alt).length).length;
+  const deadLinks = links.filter(n => !n.attribs.href || /^(#|javascript:)\s*$/i.test(n.attribs.href.trim())).length;
+  const unsafeBlank = links.filter(n => n.attribs.target === '_blank' && !/noopener|noreferrer/i.test(n.attribs.rel || '')).length;
+  const blocking = all.filter(n => n.name === 'script' && n.attribs.src && n.attribs.async === undefined && n.attribs.defer === undefined
+    && n.attribs.type !== 'module' && n.parent?.name === 'head').length;
+
+  const check = (id, label, group, weight, passed, detail = '') => ({ id, label, group, weight, passed: Boolean(passed), detail });
+  return [
+    check('doctype', 'Есть <!DOCTYPE html>', 'best-practices', 1, /^\s*<!doctype html>/i.test(html)),
+    check('charset', 'Кодировка в <meta charset>', 'best-practices', 1, all.some(n => n.name === 'meta' && n.attribs.charset)),
+    check('viewport', 'Есть <meta name="viewport">', 'seo', 3, meta('viewport')),
+    check('lang', 'У <html> задан lang', 'accessibility', 2, first('html')?.attribs.lang),
+    check('title', 'Заголовок <title> 10–70 символов', 'seo', 3, title.length >= 10 && title.length <= 70, `${title.length} симв.`),
+    check('description', 'meta description 50–160 символов', 'seo', 3, description.length >= 50 && description.length <= 160, `${description.length} симв.`),
+    check('canonical', 'Есть <link rel="canonical">', 'seo', 1, all.some(n => n.name === 'link' && /canonical/i.test(n.attribs.rel || ''))),
+    check('og', 'Есть og:title и og:description', 'seo', 1, meta('og:title') && meta('og:description')),
+    check('h1', 'Ровно один <h1>', 'seo', 2, headings.filter(l => l === 1).length === 1, `<h1>: ${headings.filter(l => l === 1).length}`),
+    check('heading-order', 'Уровни заголовков не пропущены', 'accessibility', 1, !skipped, skipped ? `пропусков: ${skipped}` : ''),
+    check('img-alt', 'У всех изображений есть alt', 'accessibility', 2, !noAlt, noAlt ? `без alt: ${noAlt} из ${images.length}` : ''),
+    check('link-name', 'У всех ссылок есть текст', 'accessibility', 2, !noText, noText ? `без текста: ${noText}` : ''),
+    check('link-href', 'Нет пустых ссылок (#, javascript:)', 'seo', 1, !deadLinks, deadLinks ? `пустых: ${deadLinks}` : ''),
+    check('noopener', 'target="_blank" с rel="noopener"', 'best-practices', 1, !unsafeBlank, unsafeBlank ? `без noopener: ${unsafeBlank}` : ''),
+    check('render-blocking', 'Нет блокирующих скриптов в <head>', 'performance', 2, !blocking, blocking ? `скриптов: ${blocking}` : ''),
+    check('dom-size', `Не больше ${MAX_DOM_ELEMENTS} элементов`, 'performance', 1, all.length <= MAX_DOM_ELEMENTS, `${all.length} элементов`),
+  ];
+}
+
+function auditPage(html) {
+  const checks = runChecks(html);
+  const total = checks.reduce((sum, c) => sum + c.weight, 0);
+  const passed = checks.filter(c => c.passed).reduce((sum, c) => sum + c.weight, 0);
+
+  return {
+    size: Buffer.byteLength(html),
+    companies: collectCompanyLinks(html).length,
+    jsonLd: auditJsonLd(html),
+    audit: { score: Math.round((passed / total) * 100), checks },
+  };
+}
+
+module.exports = { auditPage };
@@ -0,0 +1,299 @@
+/**
+ * Local accounts, workspaces and cookie sessions.
+ * Users (scrypt-hashed passwords), workspaces with their members and sessions live in data/*.json.
+ * Roles, from least to most privileged:
+ *   viewer — read projects and follow pipeline runs
+ *   editor — create, edit and delete projects, run pipelines, set project API keys
+ *   admin  — manage members and workspace API keys
+ * Above the workspaces, the server admin (the first account) edits the global model config, which applies
+ * to every workspace, and creates workspaces — a workspace role never grants that.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomicSync, readJsonFileSync } = require('./storage-file');
+
+const USERS_FILE = path.join(__dirname, 'data', 'users.json');
+const WORKSPACES_FILE = path.join(__dirname, 'data', 'workspaces.json');
+const SESSIONS_FILE = path.join(__dirname, 'data', 'sessions.json');
+
+const ROLES = ['viewer', 'editor', 'admin'];
+const DEFAULT_WORKSPACE = 'default';
+const SESSION_COOKIE = 'nrg_sid';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// ============ STORAGE ============
+
+// A missing file is an empty list; one that does not parse throws CorruptFileError (storage-file.js)
+// instead of passing for "no users", which would hand the server admin to the next registration
+function readJson(file) {
+  return readJsonFileSync(file, []);
+}
+
+function writeJson(file, data) {
+  writeFileAtomicSync(file, JSON.stringify(data, null, 2), { mode: 0o600 });
+}
+
+// ============ PASSWORDS ============
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// ============ USERS ============
+
+function publicUser({ passwordHash, ...user }) {
+  return user;
+}
+
+function hasUsers() {
+  return readJson(USERS_FILE).length > 0;
+}
+
+function findUser(userId) {
+  return readJson(USERS_FILE).find(u => u.id === userId) || null;
+}
+
+function findUserByName(username) {
+  const name = String(username || '').trim().toLowerCase();
+  return readJson(USERS_FILE).find(u => u.username === name) || null;
+}
+
+function createUser({ username, password, serverAdmin = false }) {
+  const name = String(username || '').trim().toLowerCase();
+  if (!/^[a-z0-9._-]{3,32}$/.test(name)) throw new Error('Логин: 3–32 символа, латиница, цифры, . _ -');
+  if (typeof password !== 'string' || password.length < 8) throw new Error('Пароль должен быть не короче 8 символов');
+
+  const users = readJson(USERS_FILE);
+  if (users.some(u => u.username === name)) throw new Error(`Пользователь ${name} уже существует`);
+
+  const user = { id: crypto.randomUUID(), username: name, passwordHash: hashPassword(password), created_at: new Date().toISOString() };
+  if (serverAdmin) user.serverAdmin = true;
+  users.push(user);
+  writeJson(USERS_FILE, users);
+  return publicUser(user);
+}
+
+// Accounts created before the flag existed: the first one is the server admin
+function isServerAdmin(userId) {
+  const users = readJson(USERS_FILE);
+  const user = users.find(u => u.id === userId);
+  if (!user) return false;
+  return Boolean(user.serverAdmin) || (!users.some(u => u.serverAdmin) && users[0].id === userId);
+}
+
+/** User for a login/password pair, or null */
+function authenticate(username, password) {
+  const user = findUserByName(username);
+  if (!user || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) return null;
+  return publicUser(user);
+}
+
+// ============ WORKSPACES ============
+
+function readWorkspaces() {
+  return readJson(WORKSPACES_FILE);
+}
+
+function createWorkspace({ name, ownerId, id = crypto.randomUUID() }) {
+  const workspaces = readWorkspaces();
+  const workspace = {
+    id,
+    name: String(name || '').trim() || 'Без названия',
+    members: [{ userId: ownerId, role: 'admin' }],
+    created_at: new Date().toISOString(),
+  };
+  workspaces.push(workspace);
+  writeJson(WORKSPACES_FILE, workspaces);
+  return workspace;
+}
+
+function memberRole(workspaceId, userId) {
+  const workspace = readWorkspaces().find(w => w.id === workspaceId);
+  return workspace?.members.find(m => m.userId === userId)?.role || null;
+}
+
+/** Workspaces a user belongs to, with their role in each */
+function userWorkspaces(userId) {
+  return readWorkspaces()
+    .filter(w => w.members.some(m => m.userId === userId))
+    .map(w => ({ id: w.id, name: w.name, role: w.members.find(m => m.userId === userId).role }));
+}
+
+function listMembers(workspaceId) {
+  const workspace = readWorkspaces().find(w => w.id === workspaceId);
+  if (!workspace) return [];
+  const users = readJson(USERS_FILE);
+  return workspace.members.map(m => ({
+    userId: m.userId,
+    username: users.find(u => u.id === m.userId)?.username || '—',
+    role: m.role,
+  }));
+}
+
+/** Add a member or change the role of an existing one */
+function setMember(workspaceId, userId, role) {
+  if (!ROLES.includes(role)) throw new Error(`Неизвестная роль: ${role}`);
+  const workspaces = readWorkspaces();
+  const workspace = workspaces.find(w => w.id === workspaceId);
+  if (!workspace) throw new Error('Пространство не найдено');
+
+  const member = workspace.members.find(m => m.userId === userId);
+  if (member && member.role === 'admin' && role !== 'admin') assertNotLastAdmin(workspace, userId);
+  if (member) member.role = role;
+  else workspace.members.push({ userId, role });
+  writeJson(WORKSPACES_FILE, workspaces);
+}
+
+function removeMember(workspaceId, userId) {
+  const workspaces = readWorkspaces();
+  const workspace = workspaces.find(w => w.id === workspaceId);
+  const idx = workspace ? workspace.members.findIndex(m => m.userId === userId) : -1;
+  if (idx === -1) return false;
+  if (workspace.members[idx].role === 'admin') assertNotLastAdmin(workspace, userId);
+  workspace.members.splice(idx, 1);
+  writeJson(WORKSPACES_FILE, workspaces);
+  return true;
+}
+
+function assertNotLastAdmin(workspace, userId) {
+  if (!workspace.members.some(m => m.role === 'admin' && m.userId !== userId)) {
+    throw new Error('В пространстве должен остаться хотя бы один администратор');
+  }
+}
+
+// ============ SESSIONS ============
+
+// Only a hash of the token is stored, so a leaked sessions file cannot be replayed
+function tokenHash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createSession(userId, workspaceId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  const sessions = readJson(SESSIONS_FILE).filter(s => s.expiresAt > now);
+  sessions.push({ id: tokenHash(token), userId, workspaceId, expiresAt: now + SESSION_TTL_MS });
+  writeJson(SESSIONS_FILE, sessions);
+  return token;
+}
+
+function getSession(token) {
+  if (!token) return null;
+  const session = readJson(SESSIONS_FILE).find(s => s.id === tokenHash(token));
+  return session && session.expiresAt > Date.now() ? session : null;
+}
+
+function updateSession(token, fields) {
+  const sessions = readJson(SESSIONS_FILE);
+  const session = sessions.find(s => s.id === tokenHash(token));
+  if (!session) return;
+  Object.assign(session, fields);
+  writeJson(SESSIONS_FILE, sessions);
+}
+
+function destroySession(token) {
+  if (!token) return;
+  writeJson(SESSIONS_FILE, readJson(SESSIONS_FILE).filter(s => s.id !== tokenHash(token)));
+}
+
+// ============ HTTP ============
+
+function readSessionCookie(req) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === SESSION_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+function setSessionCookie(req, res, token) {
+  const secure = req.secure ? '; Secure' : '';
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_TTL_MS / 1000}${secure}`);
+}
+
+function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+}
+
+function roleAtLeast(role, min) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(min);
+}
+
+/**
+ * Express middleware: resolves the session cookie into req.user, req.workspaceId and req.role.
+ * Responds 401 without a valid session.
+ */
+function requireAuth(req, res, next) {
+  const token = readSessionCookie(req);
+  const session = getSession(token);
+  const user = session && findUser(session.userId);
+  if (!user) return res.status(401).json({ error: 'Требуется вход' });
+
+  // Membership may have been revoked since login — fall back to another workspace of the user
+  let role = memberRole(session.workspaceId, user.id);
+  let workspaceId = session.workspaceId;
+  if (!role) {
+    const fallback = userWorkspaces(user.id)[0];
+    if (!fallback) return res.status(403).json({ error: 'Нет доступа ни к одному пространству' });
+    ({ id: workspaceId, role } = fallback);
+    updateSession(token, { workspaceId });
+  }
+
+  req.user = publicUser(user);
+  req.sessionToken = token;
+  req.workspaceId = workspaceId;
+  req.role = role;
+  next();
+}
+
+/** Express middleware factory: 403 unless the caller has at least `min` role in the current workspace */
+function requireRole(min) {
+  return (req, res, next) => {
+    if (!roleAtLeast(req.role, min)) return res.status(403).json({ error: `Недостаточно прав: нужна роль ${min}` });
+    next();
+  };
+}
+
+/** Express middleware: 403 unless the caller is the server admin, whatever their workspace role */
+function requireServerAdmin(req, res, next) {
+  if (!isServerAdmin(req.user.id)) return res.status(403).json({ error: 'Недостаточно прав: нужен администратор сервера' });
+  next();
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_WORKSPACE,
+  hasUsers,
+  findUserByName,
+  createUser,
+  isServerAdmin,
+  authenticate,
+  readWorkspaces,
+  createWorkspace,
+  memberRole,
+  userWorkspaces,
+  listMembers,
+  setMember,
+  removeMember,
+  createSession,
+  updateSession,
+  destroySession,
+  readSessionCookie,
+  setSessionCookie,
+  clearSessionCookie,
+  roleAtLeast,
+  requireAuth,
+  requireRole,
+  requireServerAdmin,
+};
@@ -0,0 +1,225 @@
+/**
+ * Fact-to-source map of the filled page (step_fill).
+ * The fill prompt numbers the rating sources S1..Sn and asks the model to wrap every fact of a company
+ * card in <span data-cite="Sn" data-fact="score|price|reviews|case">. buildCitations() reads those spans
+ * and checks that the value really occurs in the cited source; facts the model left unmarked
+ * (scores, prices, review counts) are recognized in the text and looked up near the company name
+ * in every source. Facts found this way get the same span, so the editor can show where each came from.
+ *
+ * Map (meta.citations):
+ *   { builtAt, sources: [{ id, name, url }],
+ *     companies: [{ rank, name, blocks, facts: [{ kind, text, source, method, verified }] }] }
+ *   source   — source id (S1...) or null when no source has the value
+ *   method   — cited (the model marked it) / matched (found by the post-processor)
+ *   verified — the value occurs in the source text
+ */
+
+const { companyBlocks, htmlToText } = require('./verify');
+
+// Text around a company mention that may hold its facts
+const NAME_WINDOW = 600;
+const SPACE = '(?:[\\s\\u00a0\\u202f]|&nbsp;|&#160;)';
+const NUMBER = `\\d{1,3}(?:${SPACE}?\\d{3})*(?:[.,]\\d+)?`;
+const FACT_PATTERN = new RegExp(
+  `(?<score>\\d{1,3}(?:[.,]\\d{1,2})?${SPACE}*(?:\\/|из)${SPACE}*(?:5|10|100)(?!\\d))`
+  + `|(?<reviews>${NUMBER}${SPACE}+отзыв[а-яё]*)`
+  + `|(?<price>(?:от${SPACE}+)?${NUMBER}${SPACE}*(?:₽|руб\\.?|рубл[а-яё]*|\\$|€))`,
+  'gi'
+);
+// A table cell holding nothing but a score: 8.7
+const BARE_SCORE = /^\s*\d{1,2}[.,]\d{1,2}\s*$/;
+const FACT_KINDS = ['score', 'price', 'reviews', 'case'];
+
+// ============ TEXT MATCHING ============
+
+/** Digit groups joined and decimal commas turned into dots: "от 3 900 ₽" → "от 3900 ₽", "4,8" → "4.8" */
+function normalizeNumbers(text) {
+  return text
+    .replace(/&nbsp;|&#160;/g, ' ')
+    .replace(/(\d)[\s  ](?=\d{3}(?!\d))/g, '$1')
+    .replace(/(\d),(\d)/g, '$1.$2')
+    .toLowerCase();
+}
+
+/** The number a fact is about: first number of its text */
+function factValue(text) {
+  return normalizeNumbers(text).match(/\d+(?:\.\d+)?/)?.[0] || null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Whether the fact occurs in a (normalized) source text: its number for numeric facts, most of its words for a case */
+function occursIn(fact, normalizedText) {
+  if (fact.kind === 'case') {
+    const words = fact.text.toLowerCase().match(/[\p{L}\d]{5,}/gu) || [];
+    return words.length > 0 && words.filter(w => normalizedText.includes(w)).length >= Math.ceil(words.length / 2);
+  }
+  const value = factValue(fact.text);
+  return Boolean(value) && new RegExp(`(^|[^\\d.])${escapeRegExp(value)}(?![\\d]|\\.\\d)`).test(normalizedText);
+}
+
+/** Name and its first word (when distinctive enough) — how a rating may refer to the company */
+function nameVariants(name) {
+  const clean = name.toLowerCase().replace(/[«»"']/g, '').trim();
+  const first = clean.split(/\s+/)[0];
+  return [...new Set([clean, first.length >= 4 ? first : null].filter(Boolean))];
+}
+
+/** Normalized text windows of a source around the company's mentions */
+function mentionWindows(sourceText, name) {
+  const lower = sourceText.toLowerCase();
+  for (const variant of nameVariants(name)) {
+    const windows = [];
+    for (let at = lower.indexOf(variant); at !== -1; at = lower.indexOf(variant, at + variant.length)) {
+      windows.push(normalizeNumbers(sourceText.substring(Math.max(0, at - NAME_WINDOW), at + variant.length + NAME_WINDOW)));
+    }
+    if (windows.length) return windows;
+  }
+  return [];
+}
+
+// ============ ANNOTATION ============
+
+function guessKind(text) {
+  const match = new RegExp(FACT_PATTERN.source, 'i').exec(text);
+  if (match) return Object.keys(match.groups).find(k => match.groups[k]);
+  return BARE_SCORE.test(text) ? 'score' : 'case';
+}
+
+/**
+ * One company block: cited spans checked, unmarked facts matched and wrapped.
+ * `sources` carry `normalized` (whole text) and `windows` (around this company's mentions).
+ */
+function annotateBlock(blockHtml, sources) {
+  const byId = new Map(sources.map(s => [s.id, s]));
+  const facts = [];
+  const parts = blockHtml.split(/(<[^>]*>)/);
+  let skipDepth = 0;     // inside <script>/<style>
+  let citeDepth = 0;     // inside a data-cite span (nested spans counted)
+  let citeStart = -1;
+  let prevTag = '';
+
+  const findSource = (fact) => sources.find(s => s.windows.some(w => occursIn(fact, w)))?.id || null;
+
+  const wrap = (text, kind) => {
+    const fact = { kind, text: htmlToText(text) };
+    const source = findSource(fact);
+    facts.push({ ...fact, source, method: 'matched', verified: Boolean(source) });
+    return source ? `<span data-cite="${source}" data-fact="${kind}">${text}</span>` : text;
+  };
+
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    if (part.startsWith('<')) {
+      const tag = part.match(/^<\/?([a-z0-9]+)/i)?.[1]?.toLowerCase() || '';
+      const closing = part.startsWith('</');
+      if (tag === 'script' || tag === 'style') skipDepth += closing ? -1 : 1;
+
+      if (tag === 'span' && citeDepth > 0) {
+        citeDepth += closing ? -1 : 1;
+        if (citeDepth === 0) {
+          // Cited fact complete: parts[citeStart] is its opening tag
+          const open = parts[citeStart];
+          const id = open.match(/data-cite="([^"]*)"/)[1];
+          const text = htmlToText(parts.slice(citeStart + 1, i).join(''));
+          const declared = open.match(/data-fact="([^"]*)"/)?.[1];
+          const fact = { kind: FACT_KINDS.includes(declared) ? declared : guessKind(text), text };
+          const source = byId.get(id);
+          const verified = Boolean(source && occursIn(fact, source.normalized));
+          facts.push({ ...fact, source: source ? id : null, method: 'cited', verified });
+          parts[citeStart] = open.replace(/\s*data-cite-status="[^"]*"/, '').replace(/>$/, verified ? '>' : ' data-cite-status="unverified">');
+        }
+      } else if (tag === 'span' && !closing && /\bdata-cite="/.test(part)) {
+        citeDepth = 1;
+        citeStart = i;
+      }
+      prevTag = tag + (closing ? '/' : '');
+      continue;
+    }
+
+    if (skipDepth > 0 || citeDepth > 0 || !part.trim()) continue;
+    if (prevTag === 'td' && BARE_SCORE.test(part)) {
+      parts[i] = wrap(part, 'score');
+      continue;
+    }
+    parts[i] = part.replace(new RegExp(FACT_PATTERN.source, 'gi'), (match, ...args) => {
+      const groups = args[args.length - 1];
+      return wrap(match, Object.keys(groups).find(k => groups[k]));
+    });
+  }
+
+  return { html: parts.join(''), facts };
+}
+
+/**
+ * Annotated page and its citation map.
+ * `sources`: [{ id, name, url, text }] — the rating pages step_fill was given, in prompt order.
+ */
+function buildCitations(html, sources) {
+  const prepared = sources.map(s => ({ ...s, normalized: normalizeNumbers(s.text || '') }));
+  const byRank = new Map();
+  let result = html;
+
+  // From the end, so offsets of earlier blocks stay valid
+  for (const block of companyBlocks(html).reverse()) {
+    const withWindows = prepared.map(s => ({ ...s, windows: mentionWindows(s.text || '', block.name) }));
+    const { html: annotated, facts } = annotateBlock(block.html, withWindows);
+    result = result.substring(0, block.start) + annotated + result.substring(block.end);
+
+    const entry = byRank.get(block.rank) || { rank: block.rank, name: block.name, blocks: [], facts: [] };
+    if (block.blockId) entry.blocks.unshift(block.blockId);
+    entry.facts.unshift(...facts);
+    byRank.set(block.rank, entry);
+  }
+
+  return {
+    html: result,
+    citations: {
+      builtAt: new Date().toISOString(),
+      sources: sources.map(({ id, name, url }) => ({ id, name, url })),
+      companies: [...byRank.values()].sort((a, b) => a.rank - b.rank),
+    },
+  };
+}
+
+// ============ FOOTNOTES ============
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/** Page without the "Источники" section and footnote marks */
+function removeFootnotes(html) {
+  return html
+    .replace(/<sup class="cite-ref">[\s\S]*?<\/sup>/g, '')
+    .replace(/\s*<section data-block-id="sources"[^>]*>[\s\S]*?<\/section>/, '');
+}
+
+/**
+ * Published-page variant: a footnote mark after every verified fact and an "Источники" section
+ * listing the sources that back at least one of them.
+ */
+function addFootnotes(html, citations) {
+  const clean = removeFootnotes(html);
+  const used = (citations?.sources || []).filter(s =>
+    citations.companies.some(c => c.facts.some(f => f.source === s.id && f.verified)));
+  if (!used.length) return clean;
+  const number = new Map(used.map((s, i) => [s.id, i + 1]));
+
+  const marked = clean.replace(/(<span\b[^>]*\bdata-cite="(S\d+)"[^>]*>[\s\S]*?<\/span>)/g, (span, _, id) =>
+    number.has(id) && !/data-cite-status="unverified"/.test(span)
+      ? `${span}<sup class="cite-ref"><a href="#cite-source-${number.get(id)}">[${number.get(id)}]</a></sup>`
+      : span);
+
+  const items = used.map((s, i) => `<li id="cite-source-${i + 1}">${s.url
+    ? `<a href="${escapeHtml(s.url)}" target="_blank" rel="nofollow noopener">${escapeHtml(s.name)}</a>`
+    : escapeHtml(s.name)}</li>`).join('\n    ');
+  const section = `\n<section data-block-id="sources" data-block-type="sources">\n  <h2>Источники</h2>\n  <ol>\n    ${items}\n  </ol>\n</section>\n`;
+
+  const at = marked.lastIndexOf('</main>') !== -1 ? marked.lastIndexOf('</main>') : marked.lastIndexOf('</body>');
+  return at === -1 ? marked + section : marked.substring(0, at) + section + marked.substring(at);
+}
+
+module.exports = { buildCitations, addFootnotes, removeFootnotes };
@@ -0,0 +1,298 @@
+/**
+ * Structured company lists and their consensus rank.
+ * Sources of lists:
+ *   - rating pages: a model turns each downloaded page into [{ name, url, position, prices, reviews }]
+ *   - step_1_2 answers: the free-text "список 30" of every model is parsed without a model call
+ * The lists are merged across sources into a consensus rank:
+ *   - the same company is matched by site domain, or by normalized name — exact or close
+ *     (typos, transliteration variants, "Альфа-Сервис" vs "Альфа Сервис"); on hosts many companies
+ *     share (social networks, messengers, marketplaces, maps) the page path counts, not the host alone
+ *   - every source contributes (N - position + 1) / N, N = companies in that source,
+ *     so #1 of a long list weighs more than #1 of a short one and a mention anywhere counts
+ *   - ties go to the company seen in more sources, then to the better average position
+ */
+
+const MAX_PRICES = 5;
+const MAX_NAME_LENGTH = 80;
+// Normalized names at least this similar (1 − edit distance / length) are one company
+const NAME_SIMILARITY = 0.85;
+
+// ============ PROMPT ============
+
+function buildExtractionPrompt({ niche, rating, text }) {
+  return `Ниже — текст страницы рейтинга/обзора компаний по теме "${niche}".
+Источник: ${rating.name}${rating.url ? ` (${rating.url})` : ''}
+
+Извлеки из текста ВСЕ компании, которые рейтинг перечисляет или оценивает, в том порядке, в котором они стоят в рейтинге.
+
+Для каждой компании:
+- name — название компании, как в тексте
+- url — адрес сайта компании (ссылки указаны в скобках после текста), не адрес страницы рейтинга; если его нет — null
+- position — место компании в этом рейтинге (1, 2, 3...)
+- prices — упомянутые цены и тарифы, коротко, как в тексте (["от 990 ₽/мес"]); если нет — []
+- reviews — количество отзывов или оценок, если указано (число); если нет — null
+
+ПРАВИЛА:
+1. Только компании из текста. Ничего не додумывай и не дополняй из своих знаний.
+2. Рекламные блоки, меню и ссылки на другие статьи — не компании рейтинга.
+3. Если на странице нет списка компаний — верни [].
+
+ВАЖНО: Верни ТОЛЬКО JSON-массив. Без markdown, без бэктиков.
+[{"name": "Название", "url": "https://...", "position": 1, "prices": [], "reviews": null}]
+
+ТЕКСТ СТРАНИЦЫ:
+${text}`;
+}
+
+// ============ PARSING ============
+
+function normalizeUrl(url) {
+  if (typeof url !== 'string' || !url.trim()) return null;
+  let value = url.trim();
+  if (!/^https?:\/\//i.test(value)) value = `https://${value.replace(/^\/+/, '')}`;
+  try {
+    const parsed = new URL(value);
+    return parsed.hostname.includes('.') ? parsed.href : null;
+  } catch { return null; }
+}
+
+function parseReviews(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+  if (typeof value !== 'string') return null;
+  const digits = value.replace(/[\s ]/g, '').match(/\d+/);
+  return digits ? parseInt(digits[0], 10) : null;
+}
+
+/**
+ * Model answer → clean company list ordered by position.
+ * Throws when the answer holds no JSON array.
+ */
+function parseExtraction(content) {
+  let jsonStr = String(content || '').replace(/^```json?\s*\n?/i, '').replace(/\n?```\s*$/i, '').trim();
+  const jsonMatch = jsonStr.match(/\[[\s\S]*\]/);
+  if (jsonMatch) jsonStr = jsonMatch[0];
+
+  const items = JSON.parse(jsonStr);
+  if (!Array.isArray(items)) throw new Error('ожидался JSON-массив компаний');
+
+  const companies = items
+    .filter(c => c && typeof c.name === 'string' && c.name.trim())
+    .map((c, i) => ({
+      name: c.name.trim(),
+      url: normalizeUrl(c.url),
+      position: Number.isInteger(c.position) && c.position > 0 ? c.position : i + 1,
+      prices: (Array.isArray(c.prices) ? c.prices : [])
+        .filter(p => typeof p === 'string' || typeof p === 'number')
+        .map(p => String(p).trim())
+        .filter(Boolean),
+      reviews: parseReviews(c.reviews),
+    }));
+
+  return companies.sort((a, b) => a.position - b.position);
+}
+
+// Free-text model answer → [{ name, url, position }].
+// Takes one run of consecutively numbered top-level items ("1.", "2)", "### 3.", "| 4 | ... |"), so nested
+// feature lists and a trailing criteria list do not end up as companies: the run with the most items
+// carrying a site (companies come with their sites, criteria do not), the first one on a tie.
+// Falls back to bullet items when nothing is numbered.
+function parseModelList(text) {
+  const lines = String(text || '').split('\n');
+  const numbered = [];
+  for (const line of lines) {
+    const item = line.match(/^(\s*)(?:#{1,6}\s*)?(?:\*\*)?(\d{1,3})[.)]\s+(.+)$/)
+      || line.match(/^(\s*)\|\s*(\d{1,3})\.?\s*\|(.+)$/);
+    if (item) numbered.push({ indent: item[1].length, number: parseInt(item[2], 10), rest: item[3] });
+  }
+  const topIndent = Math.min(...numbered.map(item => item.indent));
+
+  const runs = [];
+  for (const item of numbered.filter(i => i.indent === topIndent)) {
+    const run = runs[runs.length - 1];
+    if (run && item.number === run[run.length - 1].number + 1) run.push(item);
+    else runs.push([item]);
+  }
+  const withSites = (run) => run.filter(item => splitListItem(item.rest).url).length;
+  // sort() is stable: among runs with as many sites the first one stays first
+  const best = runs.filter(run => run.length >= 2).sort((a, b) => withSites(b) - withSites(a))[0] || [];
+
+  let items = best.map(item => ({ position: item.number, rest: item.rest }));
+  if (items.length < 2) {
+    items = lines
+      .map(line => line.match(/^\s*[-*•]\s+(.+)$/))
+      .filter(Boolean)
+      .map((m, i) => ({ position: i + 1, rest: m[1] }));
+  }
+
+  return items
+    .map(({ position, rest }) => ({ position, ...splitListItem(rest) }))
+    .filter(c => c.name);
+}
+
+// "**[Альфа](https://alfa.ru)** — описание" → { name: 'Альфа', url: 'https://alfa.ru/' }
+function splitListItem(rest) {
+  const link = rest.match(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/);
+  const urlMatch = link ? [null, link[2]]
+    : rest.match(/(?:^|[\s(<])((?:https?:\/\/)?(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}(?:\/[^\s)>\]|,;]*)?)/i);
+
+  let name = (link ? rest.replace(link[0], link[1]) : rest)
+    .replace(/\*\*|__|`/g, '')
+    .split(/\s[—–-]\s|:\s|\s\(|\s\||\|/)[0]
+    .replace(/(?:https?:\/\/)?(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}\S*$/i, '')
+    .replace(/[\s.,;]+$/, '')
+    .trim();
+  if (name.length > MAX_NAME_LENGTH) name = name.substring(0, MAX_NAME_LENGTH).trim();
+
+  return { name, url: urlMatch ? normalizeUrl(urlMatch[1]) : null };
+}
+
+// ============ MERGE ============
+
+const LEGAL_FORMS = /(?<![\p{L}\p{N}])(ооо|оао|зао|пао|ао|ип|нко|llc|inc|ltd|gmbh|corp|co)(?![\p{L}\p{N}])/gu;
+
+function nameKey(name) {
+  return name
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/["'«»“”„`]/g, '')
+    .replace(LEGAL_FORMS, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function similarNames(a, b) {
+  const x = a.replace(/ /g, '');
+  const y = b.replace(/ /g, '');
+  if (x === y) return true;
+  // Short names differ by one letter too easily ("Вега" / "Века")
+  if (Math.min(x.length, y.length) < 5) return false;
+  return 1 - editDistance(x, y) / Math.max(x.length, y.length) >= NAME_SIMILARITY;
+}
+
+// Hosts of many companies' pages: vk.com/buket-plus and vk.com/cvety-mashi are different companies
+const SHARED_HOSTS = new Set([
+  'vk.com', 'vk.ru', 'ok.ru', 't.me', 'telegram.me', 'wa.me', 'instagram.com', 'facebook.com', 'youtube.com',
+  'tiktok.com', 'dzen.ru', 'x.com', 'twitter.com', 'linkedin.com', 'pinterest.com', 'taplink.cc',
+  'profi.ru', 'avito.ru', 'ozon.ru', 'wildberries.ru', 'market.yandex.ru', 'yandex.ru', 'yandex.com',
+  'google.com', 'maps.google.com', 'goo.gl', '2gis.ru', 'zoon.ru', 'yell.ru', 'flamp.ru', 'otzovik.com', 'irecommend.ru',
+]);
+
+// Site domain, or host + page path on a shared host (null there without a path: nothing to tell companies apart)
+function domainKey(url) {
+  if (!url) return null;
+  let parsed;
+  try { parsed = new URL(url); }
+  catch { return null; }
+  const host = parsed.hostname.toLowerCase().replace(/^(www|m)\./, '');
+  if (!SHARED_HOSTS.has(host)) return host;
+  const pagePath = parsed.pathname.toLowerCase().replace(/\/+$/, '');
+  return pagePath ? `${host}${pagePath}` : null;
+}
+
+/**
+ * Merge per-source lists into a consensus ranking.
+ * `lists` = [{ source: { name, url? }, companies: [...] }] — sources without companies are skipped.
+ * Returns rows sorted by rank:
+ *   { rank, name, url, score, sources, avgPosition, bestPosition, mentions: [{ source, position, prices, reviews }], prices, reviews }
+ */
+function mergeCompanyLists(lists) {
+  const groups = [];
+  const byKey = new Map();
+
+  // Exact domain or name first, then the closest-looking name among known groups
+  function findGroup(keys, key) {
+    const exact = keys.map(k => byKey.get(k)).find(Boolean);
+    if (exact || !key) return exact;
+    return groups.find(g => [...g.nameKeys].some(other => similarNames(key, other)));
+  }
+
+  for (const { source, companies } of lists) {
+    if (!companies?.length) continue;
+    const total = companies.length;
+    const seenInSource = new Set();
+
+    for (const company of companies) {
+      const domain = domainKey(company.url);
+      const key = nameKey(company.name);
+      const keys = [domain && `d:${domain}`, key && `n:${key}`].filter(Boolean);
+      if (!keys.length) continue;
+
+      let group = findGroup(keys, key);
+      if (!group) {
+        group = { names: new Map(), nameKeys: new Set(), urls: new Map(), mentions: [] };
+        groups.push(group);
+      }
+      for (const k of keys) if (!byKey.has(k)) byKey.set(k, group);
+      if (key) group.nameKeys.add(key);
+
+      // A company listed twice on one page keeps its best position only
+      if (seenInSource.has(group)) continue;
+      seenInSource.add(group);
+
+      group.names.set(company.name, (group.names.get(company.name) || 0) + 1);
+      if (company.url) group.urls.set(company.url, (group.urls.get(company.url) || 0) + 1);
+      group.mentions.push({
+        source: source.name,
+        position: company.position,
+        weight: (total - Math.min(company.position, total) + 1) / total,
+        prices: company.prices || [],
+        reviews: company.reviews ?? null,
+      });
+    }
+  }
+
+  const mostCommon = (counts) => [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+
+  const rows = groups.map(group => {
+    const positions = group.mentions.map(m => m.position);
+    const reviewCounts = group.mentions.map(m => m.reviews).filter(r => r !== null);
+    return {
+      name: mostCommon(group.names),
+      url: mostCommon(group.urls),
+      score: Math.round(group.mentions.reduce((sum, m) => sum + m.weight, 0) * 100) / 100,
+      sources: group.mentions.length,
+      avgPosition: Math.round(positions.reduce((a, b) => a + b, 0) / positions.length * 10) / 10,
+      bestPosition: Math.min(...positions),
+      mentions: group.mentions.map(({ weight, ...m }) => m),
+      prices: [...new Set(group.mentions.flatMap(m => m.prices))].slice(0, MAX_PRICES),
+      reviews: reviewCounts.length ? Math.max(...reviewCounts) : null,
+    };
+  });
+
+  rows.sort((a, b) => b.score - a.score || b.sources - a.sources || a.avgPosition - b.avgPosition);
+  return rows.map((row, i) => ({ rank: i + 1, ...row }));
+}
+
+// ============ PROMPT BLOCK ============
+
+/**
+ * Consensus ranking as a markdown table for prompts.
+ * Price and review columns are left out when no source mentioned any (model lists never do).
+ */
+function formatConsensusForPrompt(rows, { limit = 30 } = {}) {
+  if (!rows?.length) return '';
+  const withFacts = rows.some(r => r.prices.length || r.reviews !== null);
+  const lines = withFacts
+    ? ['| # | Компания | Сайт | Источников | Место в источниках | Цены | Отзывов |', '|---|---|---|---|---|---|---|']
+    : ['| # | Компания | Сайт | Источников | Место в источниках |', '|---|---|---|---|---|'];
+  for (const row of rows.slice(0, limit)) {
+    const places = row.mentions.map(m => `${m.source}: ${m.position}`).join('; ');
+    const facts = withFacts ? ` ${row.prices.join('; ') || '—'} | ${row.reviews ?? '—'} |` : '';
+    lines.push(`| ${row.rank} | ${row.name} | ${row.url || '—'} | ${row.sources} | ${places} |${facts}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { buildExtractionPrompt, parseExtraction, parseModelList, mergeCompanyLists, formatConsensusForPrompt, nameKey, similarNames };
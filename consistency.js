@@ -0,0 +1,139 @@
+/**
+ * Consistency check of a generated page against itself and the data it was built from.
+ * Runs after step_6 (template) and step_fill (filled page); the report goes to meta.consistency[step].
+ *
+ * Checks:
+ *   jsonld_missing        — no ItemList in the JSON-LD (error)
+ *   jsonld_not_shown      — a JSON-LD company has no visible card or table row (error)
+ *   not_in_jsonld         — a visible company is missing from the JSON-LD
+ *   rank_mismatch         — data-company-rank differs from the JSON-LD position (error)
+ *   injected_not_first    — the user's company (injection_name) is not #1 (error)
+ *   number_unsourced      — a number quoted in a card is not in any rating source (citations.js map)
+ *   number_not_in_source  — the number is not in the source the model cited for it
+ */
+
+const { companyBlocks, hostOf } = require('./verify');
+const { nameKey, similarNames } = require('./companies');
+
+// ============ JSON-LD ============
+
+/** Every node of every JSON-LD script, @graph and nested objects included */
+function jsonLdNodes(html) {
+  const nodes = [];
+  const walk = (value) => {
+    if (Array.isArray(value)) return value.forEach(walk);
+    if (!value || typeof value !== 'object') return;
+    nodes.push(value);
+    Object.values(value).forEach(walk);
+  };
+  for (const m of html.matchAll(/<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+    try { walk(JSON.parse(m[1])); }
+    catch {}
+  }
+  return nodes;
+}
+
+const hasType = (node, type) => [].concat(node['@type'] || []).includes(type);
+
+/** Companies of the page's ItemList(s): [{ position, name, url }], null when there is no ItemList */
+function jsonLdCompanies(html) {
+  const lists = jsonLdNodes(html).filter(node => hasType(node, 'ItemList'));
+  if (!lists.length) return null;
+  return lists.flatMap(list => [].concat(list.itemListElement || []).map((element, i) => {
+    const item = element.item && typeof element.item === 'object' ? element.item : element;
+    return {
+      position: Number(element.position) || i + 1,
+      name: String(item.name || element.name || '').trim(),
+      url: typeof item.url === 'string' ? item.url : (typeof element.url === 'string' ? element.url : null),
+    };
+  })).filter(c => c.name || c.url);
+}
+
+// ============ MATCHING ============
+
+/** Same company: same site, or names equal / close / one containing the other */
+function sameCompany(a, b) {
+  const hostA = a.url && hostOf(a.url);
+  if (hostA && hostA === (b.url && hostOf(b.url))) return true;
+  const x = nameKey(a.name || '');
+  const y = nameKey(b.name || '');
+  if (!x || !y) return false;
+  if (similarNames(x, y)) return true;
+  const [short, long] = x.length < y.length ? [x, y] : [y, x];
+  return short.length >= 4 && ` ${long} `.includes(` ${short} `);
+}
+
+// ============ CHECK ============
+
+/**
+ * Findings for one page: { checkedAt, step, companies, warnings: [{ code, severity, message, blockId? }] }.
+ * `injectionName` — the user's company (checked after fill only); `citations` — step_fill's map.
+ */
+function checkConsistency(html, { step, injectionName = '', citations = null } = {}) {
+  const warnings = [];
+  const warn = (code, message, extra = {}) => warnings.push({
+    code,
+    severity: ['jsonld_missing', 'jsonld_not_shown', 'rank_mismatch', 'injected_not_first'].includes(code) ? 'error' : 'warning',
+    message,
+    ...extra,
+  });
+
+  const visible = companyBlocks(html);
+  const listed = jsonLdCompanies(html);
+
+  if (!listed) {
+    warn('jsonld_missing', 'В JSON-LD нет ItemList с компаниями рейтинга');
+  } else {
+    for (const company of listed) {
+      const shown = visible.filter(block => sameCompany(company, block));
+      const label = company.name || company.url;
+      if (!shown.length) {
+        warn('jsonld_not_shown', `«${label}» есть в JSON-LD (позиция ${company.position}), но нет ни в карточках, ни в таблице`);
+        continue;
+      }
+      for (const block of shown.filter(b => b.rank !== company.position)) {
+        warn('rank_mismatch', `«${label}»: место ${block.rank} на странице, позиция ${company.position} в JSON-LD`, { blockId: block.blockId });
+      }
+    }
+    for (const block of visible) {
+      if (!listed.some(company => sameCompany(company, block))) {
+        warn('not_in_jsonld', `«${block.name}» (место ${block.rank}) показана на странице, но отсутствует в JSON-LD`, { blockId: block.blockId });
+      }
+    }
+  }
+
+  if (injectionName) {
+    const injected = { name: injectionName };
+    const first = visible.filter(block => block.rank === 1);
+    const ownBlocks = visible.filter(block => sameCompany(injected, block));
+    if (!ownBlocks.length) {
+      warn('injected_not_first', `Компании пользователя «${injectionName}» нет на странице`);
+    } else if (!first.some(block => sameCompany(injected, block))) {
+      const ranks = [...new Set(ownBlocks.map(b => b.rank))].join(', ');
+      warn('injected_not_first', `Компания пользователя «${injectionName}» на месте ${ranks}, а не на 1-м`, { blockId: ownBlocks[0].blockId });
+    }
+    const listedFirst = listed?.find(c => c.position === 1);
+    if (listedFirst && !sameCompany(injected, listedFirst)) {
+      warn('injected_not_first', `В JSON-LD на 1-й позиции «${listedFirst.name}», а не компания пользователя`);
+    }
+  }
+
+  for (const company of citations?.companies || []) {
+    for (const fact of company.facts.filter(f => !f.verified && f.kind !== 'case')) {
+      const code = fact.source ? 'number_not_in_source' : 'number_unsourced';
+      const message = fact.source
+        ? `«${company.name}»: «${fact.text}» не найдено в указанном источнике ${fact.source}`
+        : `«${company.name}»: «${fact.text}» нет ни в одном рейтинговом источнике`;
+      warn(code, message, { blockId: company.blocks[0] || null });
+    }
+  }
+
+  return {
+    step,
+    checkedAt: new Date().toISOString(),
+    companies: { visible: visible.length, jsonLd: listed ? listed.length : 0 },
+    warnings,
+  };
+}
+
+module.exports = { checkConsistency, jsonLdCompanies };
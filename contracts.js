@@ -0,0 +1,247 @@
+/**
+ * Output contracts of the steps whose answers the pipeline parses.
+ * Each contract turns a model answer into { value, errors }:
+ *   value  — the parsed result (whatever is usable, even with errors), null when nothing is
+ *   errors — validation messages in Russian, sent back to the model in the repair round-trip
+ * A contract may also have complete(content): false when the answer was cut short (truncation.js continues it).
+ *
+ *   ratings   (step_7) — JSON array of { name, url } with http(s) URLs
+ *   criteria  (step_5) — well-formed <criteria_structure> with <group name title> → <criterion name> → fields
+ *   audience  (step_4) — markdown table "ЦА | Боль / Интент" (+ portraits after "---")
+ *   shell     (step_6, sections mode) — whole page with the <!-- SECTIONS --> slot in it
+ *   sectionContract(section) — exactly one closed <section> of the planned type
+ */
+
+const { parseDocument } = require('htmlparser2');
+const { SECTION_SLOT, sectionTag, sectionEnd } = require('./sections');
+const { stripFences, htmlDocumentComplete, htmlDocument } = require('./truncation');
+
+const MAX_ERRORS = 20;
+const CRITERION_FIELDS = ['name', 'description', 'methodology', 'why_important', 'recommendation', 'target', 'example'];
+
+// ============ RATINGS (step_7) ============
+
+function validateRatings(content) {
+  const text = stripFences(content);
+  const match = text.match(/\[[\s\S]*\]/);
+  if (!match) return { value: null, errors: ['В ответе нет JSON-массива [...]'] };
+
+  let items;
+  try { items = JSON.parse(match[0]); }
+  catch (err) { return { value: null, errors: [`JSON не разбирается: ${err.message}`] }; }
+  if (!Array.isArray(items)) return { value: null, errors: ['Ожидался JSON-массив'] };
+
+  const errors = [];
+  const value = items.filter((item, i) => {
+    const at = `Элемент ${i + 1}`;
+    if (!item || typeof item !== 'object') { errors.push(`${at}: ожидался объект {"name", "url"}`); return false; }
+    if (typeof item.name !== 'string' || !item.name.trim()) errors.push(`${at}: нет поля "name"`);
+    let url = null;
+    try { url = new URL(item.url); } catch {}
+    if (!url || !/^https?:$/.test(url.protocol)) {
+      errors.push(`${at}${item.name ? ` («${item.name}»)` : ''}: "url" должен быть полным адресом http(s)://...`);
+      return false;
+    }
+    return typeof item.name === 'string' && item.name.trim();
+  }).map(item => ({ name: item.name.trim(), url: item.url.trim() }));
+
+  if (!items.length) errors.push('Массив пуст — нужен хотя бы один рейтинг');
+  return { value: value.length ? value : null, errors };
+}
+
+// ============ CRITERIA XML (step_5) ============
+
+/** First nesting error of an XML text, null when tags balance */
+function xmlNestingError(xml) {
+  const stack = [];
+  const body = xml.replace(/<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>/g, '');
+  for (const m of body.matchAll(/<(\/?)([A-Za-z_][\w:.-]*)[^>]*?(\/?)>/g)) {
+    const [, closing, name, selfClosing] = m;
+    if (selfClosing) continue;
+    if (!closing) { stack.push(name); continue; }
+    const open = stack.pop();
+    if (open !== name) return open ? `</${name}> закрывает незакрытый <${open}>` : `лишний закрывающий тег </${name}>`;
+  }
+  return stack.length ? `не закрыт тег <${stack[stack.length - 1]}>` : null;
+}
+
+const childElements = (node, name) => (node.children || []).filter(c => c.type === 'tag' && (!name || c.name === name));
+const textOf = (node) => (node.children || []).map(c => (c.type === 'text' ? c.data : textOf(c))).join('').trim();
+
+function validateCriteria(content) {
+  const text = stripFences(content);
+  const match = text.match(/<criteria_structure\b[\s\S]*<\/criteria_structure>/);
+  if (!match) return { value: null, errors: ['Нет корневого элемента <criteria_structure> ... </criteria_structure>'] };
+
+  const xml = match[0];
+  const nesting = xmlNestingError(xml);
+  if (nesting) return { value: null, errors: [`XML не сбалансирован: ${nesting}`] };
+
+  const root = childElements(parseDocument(xml, { xmlMode: true }), 'criteria_structure')[0];
+  const groups = childElements(root, 'group');
+  const errors = [];
+  if (!groups.length) errors.push('В <criteria_structure> нет ни одной <group>');
+
+  groups.forEach((group, g) => {
+    const groupLabel = `Группа ${g + 1}${group.attribs.name ? ` (${group.attribs.name})` : ''}`;
+    for (const attr of ['name', 'title']) {
+      if (!group.attribs[attr]) errors.push(`${groupLabel}: нет атрибута ${attr}`);
+    }
+    const criteria = childElements(group, 'criterion');
+    if (!criteria.length) errors.push(`${groupLabel}: нет ни одного <criterion>`);
+    criteria.forEach((criterion, c) => {
+      const label = `${groupLabel}, критерий ${c + 1}${criterion.attribs.name ? ` (${criterion.attribs.name})` : ''}`;
+      if (!criterion.attribs.name) errors.push(`${label}: нет атрибута name`);
+      const missing = CRITERION_FIELDS.filter(field => !childElements(criterion, field).some(el => textOf(el)));
+      if (missing.length) errors.push(`${label}: нет или пусто ${missing.map(f => `<${f}>`).join(', ')}`);
+    });
+  });
+
+  for (const [i, company] of childElements(childElements(root, 'companies')[0] || {}, 'company').entries()) {
+    if (!company.attribs.name) errors.push(`<company> ${i + 1}: нет атрибута name`);
+  }
+
+  // Text around the XML (explanations, fences) is dropped either way
+  return { value: groups.length ? xml : null, errors: errors.slice(0, MAX_ERRORS) };
+}
+
+// ============ AUDIENCE TABLE (step_4) ============
+
+const splitRow = (line) => line.replace(/^\|/, '').replace(/\|$/, '').split('|').map(c => c.trim());
+
+/** Portrait lines after the table: "**Сегмент** — описание" */
+function parsePortraits(text) {
+  return text.split('\n').map(line => line.trim().match(/^[-*\s]*\*\*(.+?)\*\*\s*[:—–-]?\s*(.+)$/))
+    .filter(Boolean)
+    .map(m => ({ segment: m[1].replace(/[:—–-]\s*$/, '').trim(), text: m[2].trim() }));
+}
+
+function validateAudience(content) {
+  const text = stripFences(content);
+  const lines = text.split('\n').map(l => l.trim());
+  const tableLines = lines.filter(l => l.startsWith('|'));
+  if (tableLines.length < 3) return { value: null, errors: ['Нет markdown-таблицы "| ЦА | Боль / Интент |" с разделителем и строками'] };
+
+  const columns = splitRow(tableLines[0]);
+  const errors = [];
+  if (columns.length < 2) errors.push('В таблице меньше двух столбцов');
+  if (!/^[\s|:-]+$/.test(tableLines[1])) errors.push('Вторая строка таблицы должна быть разделителем |---|---|');
+
+  const dataLines = tableLines.slice(/^[\s|:-]+$/.test(tableLines[1]) ? 2 : 1);
+  const rows = [];
+  dataLines.forEach((line, i) => {
+    const cells = splitRow(line);
+    if (cells.length !== columns.length) {
+      errors.push(`Строка ${i + 1}: ${cells.length} ячеек вместо ${columns.length}`);
+    }
+    const segment = cells[0] || '';
+    const pain = cells[cells.length - 1] || '';
+    if (!segment || !pain || cells.length < 2) { errors.push(`Строка ${i + 1}: пустая ЦА или боль`); return; }
+    rows.push({ segment, pain, ...(cells.length >= 3 && cells[1] ? { portrait: cells[1] } : {}) });
+  });
+  if (!rows.length) errors.push('В таблице нет строк с данными');
+
+  // Portraits: after the "---" separator, or in the middle column of a 3-column table
+  const afterTable = lines.slice(lines.lastIndexOf(tableLines[tableLines.length - 1]) + 1).join('\n');
+  const portraits = parsePortraits(afterTable);
+  for (const row of rows) {
+    if (row.portrait && !portraits.some(p => p.segment === row.segment)) portraits.push({ segment: row.segment, text: row.portrait });
+  }
+
+  return {
+    value: rows.length ? { columns, rows: rows.map(({ segment, pain }) => ({ segment, pain })), portraits } : null,
+    errors: errors.slice(0, MAX_ERRORS),
+  };
+}
+
+// ============ PAGE SECTIONS (step_6 / step_fill, sections mode) ============
+
+function validateShell(content) {
+  const html = htmlDocument(content);
+  const errors = [];
+  if (!/<head\b[\s\S]*<\/head>/i.test(html)) errors.push('Нет <head> ... </head>');
+  if (!/<\/body>/i.test(html)) errors.push('Страница обрезана: нет </body>');
+  const slots = html.split(SECTION_SLOT).length - 1;
+  if (slots !== 1) errors.push(`Комментарий ${SECTION_SLOT} должен стоять в <main> ровно один раз (найдено: ${slots})`);
+  if (/<section\b[^>]*data-block-type=/i.test(html)) errors.push('В каркасе не должно быть секций с контентом — только слот');
+  return { value: slots === 1 ? html : null, errors };
+}
+
+function setAttribute(tag, name, value) {
+  const attr = new RegExp(`\\s${name}\\s*=\\s*"[^"]*"`);
+  return attr.test(tag) ? tag.replace(attr, ` ${name}="${value}"`) : tag.replace(/\s*\/?>$/, ` ${name}="${value}">`);
+}
+
+/** Contract of one planned section: its type, closed, nothing around it; the value gets the planned id and rank */
+function sectionContract(section) {
+  const validate = (content) => {
+    const text = stripFences(content);
+    const open = new RegExp(`<section\\b[^>]*\\bdata-block-type="${section.type}"[^>]*>`, 'i').exec(text);
+    if (!open) return { value: null, errors: [`Нет корневого элемента <section data-block-type="${section.type}">`] };
+    const end = sectionEnd(text, open.index);
+    if (end === -1) return { value: null, errors: ['Секция обрезана или не закрыта: нет парного </section>'] };
+
+    const errors = [];
+    const outside = (text.substring(0, open.index) + text.substring(end)).replace(/<!--[\s\S]*?-->/g, '').trim();
+    if (outside) errors.push(`Лишнее вне секции: «${outside.substring(0, 80)}»`);
+    let tag = setAttribute(open[0], 'data-block-id', section.id);
+    if (section.rank) tag = setAttribute(tag, 'data-company-rank', section.rank);
+    const html = tag + text.substring(open.index + open[0].length, end);
+    if (/<(html|head|body)\b/i.test(html)) errors.push('Внутри секции не должно быть <html>, <head> или <body>');
+    if (section.type === 'company-card' && !/<a\b[^>]*href\s*=\s*["']https?:\/\//i.test(html)) {
+      errors.push('В карточке нет ссылки на сайт компании');
+    }
+    if (section.type === 'company-table' && !/data-block-type="company-row"/.test(html)) {
+      errors.push('Строки таблицы должны быть <tr data-block-id="company_row_N" data-block-type="company-row" data-company-rank="N">');
+    }
+    return { value: html, errors };
+  };
+
+  return {
+    title: `секция «${section.label}»`,
+    format: `только один элемент ${sectionTag(section)} ... </section>, все теги закрыты, без текста вокруг`,
+    validate,
+    complete: (content) => {
+      const text = stripFences(content);
+      const open = text.search(/<section\b/i);
+      return open === -1 || sectionEnd(text, open) !== -1;
+    },
+  };
+}
+
+// ============ CONTRACTS ============
+
+const CONTRACTS = {
+  ratings: {
+    title: 'список рейтингов',
+    format: 'ТОЛЬКО JSON-массив [{"name": "Название", "url": "https://..."}], без markdown и бэктиков',
+    validate: validateRatings,
+  },
+  criteria: {
+    title: 'XML критериев',
+    format: 'ТОЛЬКО XML в <criteria_structure> ... </criteria_structure>: <group name="..." title="..."> с <criterion name="..."> внутри, '
+      + `у каждого критерия ${CRITERION_FIELDS.map(f => `<${f}>`).join(', ')}; все теги закрыты`,
+    validate: validateCriteria,
+  },
+  audience: {
+    title: 'таблица аудиторий',
+    format: 'markdown-таблица "| ЦА | Боль / Интент |" с разделителем |---|---|, одна боль на строку, затем "---" и портреты ЦА',
+    validate: validateAudience,
+  },
+  shell: {
+    title: 'каркас страницы',
+    format: `ТОЛЬКО HTML всей страницы от <!DOCTYPE html> до </html>, в <main> — только комментарий ${SECTION_SLOT}`,
+    validate: validateShell,
+    complete: htmlDocumentComplete,
+  },
+};
+
+/** Follow-up message of the repair round-trip: what was wrong and what to send back */
+function buildRepairPrompt(contract, errors) {
+  return `Твой ответ не прошёл проверку формата (${contract.title}):
+${errors.slice(0, MAX_ERRORS).map(e => `- ${e}`).join('\n')}
+
+Исправь ответ и пришли его целиком заново: ${contract.format}. Без пояснений.`;
+}
+
+module.exports = { CONTRACTS, sectionContract, buildRepairPrompt, validateRatings, validateCriteria, validateAudience };
@@ -0,0 +1,495 @@
+/**
+ * Polite page fetcher for rating and company sites.
+ *   - robots.txt is honoured for our user agent (NicheRatingBot), Crawl-delay included
+ *   - per-host limits: at most HOST_CONCURRENCY requests at once, HOST_DELAY_MS between request starts
+ *   - only public hosts are fetched: the host is resolved and loopback, private, link-local and other
+ *     internal addresses are refused, for the first request and for every redirect hop
+ *     (ALLOW_PRIVATE_FETCH=1 lifts this for local development)
+ *   - redirects are followed by hand (up to MAX_REDIRECTS), each hop checked against its own robots.txt
+ *   - 429 / 5xx / network errors are retried with exponential backoff (Retry-After wins when given)
+ *   - a host the system resolver does not find is asked again over DNS: only a real NXDOMAIN
+ *     marks the result `nxdomain`, resolver timeouts and failures stay plain network errors
+ *   - bodies stop at MAX_BYTES (the page is kept, marked truncated)
+ *   - 200 responses are cached on disk (data/http-cache/) keyed by URL; a cached page with an
+ *     ETag / Last-Modified is revalidated with a conditional request, one without is reused for CACHE_TTL_MS;
+ *     entries older than CACHE_MAX_AGE_MS are dropped and the cache is kept under CACHE_MAX_BYTES, oldest first
+ *     (pruned on the first write of the process, then at most once per CACHE_PRUNE_INTERVAL_MS)
+ * Robots rules and host slots are in-process state: one server per data directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; NicheRatingBot/1.0; +https://github.com/iganigaa/niche-rating-generator)';
+const ROBOTS_TOKEN = 'nicheratingbot';
+const TIMEOUT_MS = 15000;
+const MAX_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const RETRIES = 2;
+const BASE_DELAY_MS = 2000;
+const MAX_RETRY_AFTER_MS = 30000;
+const HOST_CONCURRENCY = 2;
+const HOST_DELAY_MS = 1000;
+const MAX_CRAWL_DELAY_MS = 10000;
+const ROBOTS_TTL_MS = 60 * 60 * 1000;
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const CACHE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const CACHE_MAX_BYTES = 500 * 1024 * 1024;
+const CACHE_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DNS_TIMEOUT_MS = 5000;
+
+// ============ HELPERS ============
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => { clearTimeout(t); reject(signal.reason); };
+    const t = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function retryAfterMs(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) && ms >= 0 ? Math.min(ms, MAX_RETRY_AFTER_MS) : null;
+}
+
+// ============ PUBLIC HOSTS ONLY ============
+
+// Addresses a user-supplied URL must not reach: this machine, the local network, cloud metadata
+const INTERNAL_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) INTERNAL_RANGES.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  INTERNAL_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+function isInternalAddress(address) {
+  // IPv4-mapped (::ffff:127.0.0.1) and NAT64 (64:ff9b::7f00:1) addresses are checked as the IPv4 inside
+  const dotted = address.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+  if (dotted) return isInternalAddress(dotted);
+  const hex = address.match(/^(?:::ffff:|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (hex) {
+    const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return isInternalAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+  const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  return INTERNAL_RANGES.check(address, type);
+}
+
+/** Error text when the URL's host is or resolves to an internal address, null when it is public */
+async function internalHostError(url) {
+  if (process.env.ALLOW_PRIVATE_FETCH === '1') return null;
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(host)) addresses = [host];
+  else {
+    try { addresses = (await dns.promises.lookup(host, { all: true, verbatim: true })).map(a => a.address); }
+    // Unresolvable hosts fail in the request itself, with the usual network error
+    catch { return null; }
+  }
+  return addresses.some(isInternalAddress) ? `адрес во внутренней сети запрещён: ${host}` : null;
+}
+
+// getaddrinfo reports ENOTFOUND for a missing name but also for some resolver trouble,
+// so the name is asked again over DNS, where the answer "no such domain" is told apart from failures
+const resolver = new dns.promises.Resolver({ timeout: DNS_TIMEOUT_MS, tries: 2 });
+
+/** Whether a lookup failure with this code is a confirmed NXDOMAIN (not EAI_AGAIN, a timeout or SERVFAIL) */
+async function isNxdomain(url, code) {
+  if (!['ENOTFOUND', 'EAI_NONAME'].includes(code)) return false;
+  try {
+    await resolver.resolve4(new URL(url).hostname);
+    return false;
+  } catch (err) {
+    return err.code === dns.NOTFOUND;
+  }
+}
+
+// Result of a request that got no HTTP answer
+async function networkFailure(url, { error, code }) {
+  return { ok: false, error, code, ...(await isNxdomain(url, code) ? { nxdomain: true } : {}) };
+}
+
+// ============ ROBOTS.TXT ============
+
+/** Rules of the group for our agent (or "*"): { rules: [{ allow, pattern }], crawlDelayMs } */
+function parseRobots(text) {
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, '').trim();
+    const sep = line.indexOf(':');
+    if (sep === -1) continue;
+    const field = line.substring(0, sep).trim().toLowerCase();
+    const value = line.substring(sep + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelayMs: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!group) continue;
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (value) group.rules.push({ allow: field === 'allow', pattern: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (Number.isFinite(seconds) && seconds > 0) group.crawlDelayMs = Math.min(seconds * 1000, MAX_CRAWL_DELAY_MS);
+    }
+  }
+
+  const ours = groups.find(g => g.agents.some(a => a !== '*' && ROBOTS_TOKEN.includes(a)))
+    || groups.find(g => g.agents.includes('*'));
+  return ours ? { rules: ours.rules, crawlDelayMs: ours.crawlDelayMs } : { rules: [], crawlDelayMs: null };
+}
+
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/** Longest matching rule wins, Allow wins a tie; no match means allowed */
+function robotsAllows(robots, pathAndQuery) {
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!patternToRegex(rule.pattern).test(pathAndQuery)) continue;
+    if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+// ============ CRAWLER ============
+
+function createCrawler({
+  cacheDir = path.join(__dirname, 'data', 'http-cache'),
+  cacheMaxAgeMs = CACHE_MAX_AGE_MS,
+  cacheMaxBytes = CACHE_MAX_BYTES,
+} = {}) {
+  // origin → { robots, expiresAt } or a pending promise
+  const robotsByOrigin = new Map();
+  // host → { active, nextStart, waiters }
+  const hosts = new Map();
+
+  // ---- per-host slots ----
+
+  async function acquire(host, delayMs, signal) {
+    let slot = hosts.get(host);
+    if (!slot) {
+      slot = { active: 0, nextStart: 0, waiters: [] };
+      hosts.set(host, slot);
+    }
+    while (slot.active >= HOST_CONCURRENCY) {
+      await new Promise(resolve => slot.waiters.push(resolve));
+    }
+    slot.active++;
+
+    const release = () => {
+      slot.active--;
+      slot.waiters.shift()?.();
+    };
+    const now = Date.now();
+    const wait = slot.nextStart - now;
+    slot.nextStart = Math.max(now, slot.nextStart) + delayMs;
+    try {
+      if (wait > 0) await sleep(wait, signal);
+      signal?.throwIfAborted();
+    } catch (err) {
+      release();
+      throw err;
+    }
+    return release;
+  }
+
+  // ---- one HTTP request: timeout, size cap ----
+
+  async function request(url, headers, signal) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    const onStop = () => controller.abort();
+    signal?.addEventListener('abort', onStop, { once: true });
+
+    try {
+      const resp = await fetch(url, {
+        signal: controller.signal,
+        redirect: 'manual',
+        headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,application/xhtml+xml', ...headers },
+      });
+
+      const chunks = [];
+      let size = 0;
+      let truncated = false;
+      if (resp.body && resp.status !== 304 && !(resp.status >= 300 && resp.status < 400)) {
+        const reader = resp.body.getReader();
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          chunks.push(value);
+          size += value.length;
+          if (size >= MAX_BYTES) {
+            truncated = true;
+            await reader.cancel().catch(() => {});
+            break;
+          }
+        }
+      } else {
+        await resp.body?.cancel().catch(() => {});
+      }
+
+      const body = Buffer.concat(chunks).subarray(0, MAX_BYTES);
+      return { status: resp.status, headers: resp.headers, body, truncated };
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      const code = e.cause?.code;
+      const error = e.name === 'AbortError' ? `таймаут ${TIMEOUT_MS / 1000}с` : (code ? `${e.message} (${code})` : e.message);
+      return { networkError: true, error, code };
+    } finally {
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', onStop);
+    }
+  }
+
+  // ---- request with host slot and retries ----
+
+  async function politeRequest(url, headers, { signal, delayMs = HOST_DELAY_MS, retries = RETRIES } = {}) {
+    const host = new URL(url).host;
+    let result;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      const release = await acquire(host, delayMs, signal);
+      try {
+        result = await request(url, headers, signal);
+      } finally {
+        release();
+      }
+
+      const retryable = result.networkError || result.status === 429 || result.status >= 500;
+      if (!retryable || attempt === retries) break;
+      // A missing host will not appear on retry
+      if (['ENOTFOUND', 'EAI_NONAME'].includes(result.code)) break;
+
+      const delay = retryAfterMs(result.headers?.get('retry-after')) ?? BASE_DELAY_MS * Math.pow(2, attempt);
+      console.warn(`[crawler] ${url}: ${result.error || `HTTP ${result.status}`}, retry ${attempt + 1}/${retries} in ${delay}ms`);
+      await sleep(delay, signal);
+    }
+    return result;
+  }
+
+  // ---- robots.txt per origin ----
+
+  // → robots rules, or { networkError, error, code } when the host does not answer at all
+  async function robotsFor(url, signal) {
+    const { origin } = new URL(url);
+    const known = robotsByOrigin.get(origin);
+    if (known && !(known instanceof Promise) && known.expiresAt > Date.now()) return known.robots;
+    if (known instanceof Promise) return known;
+
+    const pending = (async () => {
+      const resp = await politeRequest(`${origin}/robots.txt`, { Accept: 'text/plain' }, { signal, retries: 0 });
+      if (resp.networkError) {
+        robotsByOrigin.delete(origin);
+        return resp;
+      }
+      // Only a robots.txt that was actually served restricts anything: redirects, 4xx and 5xx allow all
+      const robots = resp.status >= 200 && resp.status < 300
+        ? parseRobots(resp.body.toString('utf8'))
+        : { rules: [], crawlDelayMs: null };
+      robotsByOrigin.set(origin, { robots, expiresAt: Date.now() + ROBOTS_TTL_MS });
+      return robots;
+    })();
+    robotsByOrigin.set(origin, pending);
+    try {
+      return await pending;
+    } catch (err) {
+      robotsByOrigin.delete(origin);
+      throw err;
+    }
+  }
+
+  // ---- disk cache ----
+
+  const cacheFile = (url) => path.join(cacheDir, `${crypto.createHash('sha256').update(url).digest('hex').substring(0, 32)}.json`);
+
+  async function readCache(url) {
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(cacheFile(url), 'utf8'));
+      return entry.url === url && Date.now() - entry.fetchedAt <= cacheMaxAgeMs ? entry : null;
+    } catch { return null; }
+  }
+
+  async function writeCache(url, entry) {
+    try {
+      await fs.promises.mkdir(cacheDir, { recursive: true });
+      const file = cacheFile(url);
+      const tmp = `${file}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.promises.writeFile(tmp, JSON.stringify({ url, ...entry }));
+      await fs.promises.rename(tmp, file);
+    } catch (err) {
+      console.warn(`[crawler] cache write failed for ${url}: ${err.message}`);
+    }
+    schedulePrune();
+  }
+
+  /**
+   * Drop entries older than cacheMaxAgeMs, then the oldest ones until the cache fits in cacheMaxBytes.
+   * File mtime is the fetch time: every write (a revalidation too) renames a fresh file in.
+   * Returns { removed, bytes } — files deleted and the size left.
+   */
+  async function pruneCache() {
+    let names;
+    try { names = await fs.promises.readdir(cacheDir); }
+    catch (err) {
+      if (err.code === 'ENOENT') return { removed: 0, bytes: 0 };
+      throw err;
+    }
+
+    const files = [];
+    for (const name of names) {
+      const file = path.join(cacheDir, name);
+      const stat = await fs.promises.stat(file).catch(() => null);
+      if (stat?.isFile()) files.push({ file, size: stat.size, mtime: stat.mtimeMs });
+    }
+    files.sort((a, b) => a.mtime - b.mtime);
+
+    const now = Date.now();
+    let bytes = files.reduce((sum, f) => sum + f.size, 0);
+    let removed = 0;
+    for (const f of files) {
+      if (now - f.mtime <= cacheMaxAgeMs && bytes <= cacheMaxBytes) break;
+      await fs.promises.unlink(f.file).catch(() => {});
+      bytes -= f.size;
+      removed++;
+    }
+    return { removed, bytes };
+  }
+
+  let prunedAt = 0;
+
+  function schedulePrune() {
+    if (Date.now() - prunedAt < CACHE_PRUNE_INTERVAL_MS) return;
+    prunedAt = Date.now();
+    pruneCache().catch(err => console.warn(`[crawler] cache prune failed: ${err.message}`));
+  }
+
+  const fromCacheEntry = (entry) => ({
+    ok: true,
+    status: entry.status,
+    finalUrl: entry.finalUrl,
+    contentType: entry.contentType,
+    body: Buffer.from(entry.body, 'base64'),
+    fromCache: true,
+  });
+
+  /**
+   * Fetch a page politely.
+   * → { ok, status, finalUrl, contentType, body: Buffer, fromCache, truncated }
+   *   or { ok: false, error, status?, code?, robotsBlocked? }
+   * Rejects only when `signal` aborts.
+   */
+  async function fetchPage(url, { signal } = {}) {
+    let current;
+    try { current = new URL(url).href; }
+    catch { return { ok: false, error: `некорректный URL: ${url}` }; }
+    if (!/^https?:$/.test(new URL(current).protocol)) return { ok: false, error: `неподдерживаемый адрес: ${current}` };
+    const blocked = await internalHostError(current);
+    if (blocked) return { ok: false, error: blocked, internalHost: true };
+
+    const key = current;
+    const cached = await readCache(key);
+    const validators = cached && (cached.etag || cached.lastModified);
+    if (cached && !validators && Date.now() - cached.fetchedAt < CACHE_TTL_MS) return fromCacheEntry(cached);
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      if (!/^https?:$/.test(new URL(current).protocol)) return { ok: false, error: `неподдерживаемый адрес: ${current}` };
+      // A public page may redirect inward: every hop is checked again
+      const internal = hop > 0 && await internalHostError(current);
+      if (internal) return { ok: false, error: internal, internalHost: true };
+
+      const robots = await robotsFor(current, signal);
+      // The host did not answer robots.txt — retrying the page itself would only wait out the same timeout
+      if (robots.networkError) return networkFailure(current, robots);
+      const { pathname, search } = new URL(current);
+      if (!robotsAllows(robots, pathname + search)) {
+        return { ok: false, error: 'запрещено robots.txt', robotsBlocked: true };
+      }
+
+      // Validators belong to the final response, so they go with the request for that URL
+      const headers = {};
+      if (validators && cached.finalUrl === current) {
+        if (cached.etag) headers['If-None-Match'] = cached.etag;
+        if (cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+      }
+
+      const resp = await politeRequest(current, headers, { signal, delayMs: Math.max(HOST_DELAY_MS, robots.crawlDelayMs || 0) });
+      if (resp.networkError) return networkFailure(current, resp);
+
+      const location = resp.headers.get('location');
+      if (resp.status >= 300 && resp.status < 400 && resp.status !== 304 && location) {
+        current = new URL(location, current).href;
+        continue;
+      }
+
+      if (resp.status === 304 && cached) {
+        await writeCache(key, { ...cached, fetchedAt: Date.now() });
+        return fromCacheEntry(cached);
+      }
+
+      const result = {
+        ok: resp.status >= 200 && resp.status < 300,
+        status: resp.status,
+        finalUrl: current,
+        contentType: resp.headers.get('content-type') || '',
+        body: resp.body,
+        fromCache: false,
+        truncated: resp.truncated,
+      };
+      if (!result.ok) return { ...result, error: `HTTP ${resp.status}` };
+
+      if (resp.status === 200 && !resp.truncated) {
+        await writeCache(key, {
+          status: resp.status,
+          finalUrl: current,
+          contentType: result.contentType,
+          etag: resp.headers.get('etag') || null,
+          lastModified: resp.headers.get('last-modified') || null,
+          fetchedAt: Date.now(),
+          body: resp.body.toString('base64'),
+        });
+      }
+      return result;
+    }
+
+    return { ok: false, error: `больше ${MAX_REDIRECTS} редиректов` };
+  }
+
+  return { fetchPage, pruneCache };
+}
+
+// Shared instance: host slots and robots rules are common to all pipeline runs
+const crawler = createCrawler();
+
+module.exports = crawler;
+module.exports.createCrawler = createCrawler;
+module.exports.parseRobots = parseRobots;
+module.exports.robotsAllows = robotsAllows;
+module.exports.internalHostError = internalHostError;
+module.exports.USER_AGENT = USER_AGENT;
@@ -0,0 +1,180 @@
+/**
+ * Headless-browser rendering for rating pages built by JavaScript (SPAs, lazy-loaded lists).
+ * Optional: needs the puppeteer-core package and a Chromium/Chrome installed on this machine —
+ * CHROMIUM_PATH or the first browser found in the usual install locations. Nothing is downloaded.
+ *   - one browser is shared by all runs: started on first use, closed after BROWSER_IDLE_MS without pages
+ *   - at most MAX_PAGES pages render at once; images, fonts and media are not loaded
+ *   - a page is done when the network is idle (or at RENDER_TIMEOUT_MS with whatever has rendered)
+ *   - pages run third-party JavaScript, so Chromium keeps its sandbox. It cannot start one as root
+ *     (containers): there rendering is refused unless HEADLESS_NO_SANDBOX=1 explicitly accepts the risk
+ * The pipeline calls it only after the static fetch (crawler.js) has passed robots.txt.
+ * Every request the page makes — the page itself, its redirects, scripts, XHR — goes through the same
+ * public-hosts-only check as the crawler (crawler.internalHostError) and is aborted when it points inward.
+ */
+
+const fs = require('fs');
+const { USER_AGENT, internalHostError } = require('./crawler');
+
+const RENDER_TIMEOUT_MS = 25000;
+const SETTLE_MS = 1000;
+const MAX_PAGES = 2;
+const BROWSER_IDLE_MS = 60000;
+const BLOCKED_RESOURCES = new Set(['image', 'font', 'media']);
+
+const BROWSER_PATHS = [
+  '/usr/bin/chromium',
+  '/usr/bin/chromium-browser',
+  '/usr/bin/google-chrome',
+  '/usr/bin/google-chrome-stable',
+  '/snap/bin/chromium',
+  '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+  '/Applications/Chromium.app/Contents/MacOS/Chromium',
+  'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+  'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
+];
+
+// ============ AVAILABILITY ============
+
+let puppeteer;
+
+function loadPuppeteer() {
+  if (puppeteer === undefined) {
+    try { puppeteer = require('puppeteer-core'); }
+    catch { puppeteer = null; }
+  }
+  return puppeteer;
+}
+
+function findBrowser() {
+  const candidates = [process.env.CHROMIUM_PATH, ...BROWSER_PATHS].filter(Boolean);
+  return candidates.find(p => fs.existsSync(p)) || null;
+}
+
+// Chromium refuses to start its sandbox as root
+const needsNoSandbox = () => process.getuid?.() === 0;
+
+/** { available, executablePath, reason } — reason says what is missing */
+function browserStatus() {
+  if (!loadPuppeteer()) return { available: false, executablePath: null, reason: 'не установлен пакет puppeteer-core' };
+  const executablePath = findBrowser();
+  if (!executablePath) return { available: false, executablePath: null, reason: 'не найден Chromium/Chrome (укажите CHROMIUM_PATH)' };
+  if (needsNoSandbox() && process.env.HEADLESS_NO_SANDBOX !== '1') {
+    return {
+      available: false,
+      executablePath,
+      reason: 'сервер запущен от root, а без песочницы браузер не запускается (HEADLESS_NO_SANDBOX=1 разрешает это)',
+    };
+  }
+  return { available: true, executablePath, reason: null };
+}
+
+// ============ BROWSER ============
+
+let browserPromise = null;
+let openPages = 0;
+let idleTimer = null;
+const waiting = [];
+
+function getBrowser(executablePath) {
+  if (!browserPromise) {
+    browserPromise = loadPuppeteer().launch({
+      executablePath,
+      headless: true,
+      args: [
+        '--disable-dev-shm-usage',
+        '--no-first-run',
+        '--mute-audio',
+        // Only reached as root with HEADLESS_NO_SANDBOX=1 (browserStatus)
+        ...(needsNoSandbox() ? ['--no-sandbox'] : []),
+      ],
+    });
+    browserPromise
+      .then(browser => browser.on('disconnected', () => { browserPromise = null; }))
+      .catch(() => { browserPromise = null; });
+  }
+  return browserPromise;
+}
+
+// A waiter whose run is stopped leaves the queue at once instead of holding out for a slot
+async function acquirePage(signal) {
+  signal?.throwIfAborted();
+  if (openPages >= MAX_PAGES) {
+    await new Promise((resolve, reject) => {
+      const waiter = () => { signal?.removeEventListener('abort', onAbort); resolve(); };
+      const onAbort = () => {
+        waiting.splice(waiting.indexOf(waiter), 1);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      waiting.push(waiter);
+    });
+  }
+  openPages++;
+  clearTimeout(idleTimer);
+}
+
+function releasePage() {
+  openPages--;
+  const next = waiting.shift();
+  if (next) return next();
+  if (openPages === 0) {
+    idleTimer = setTimeout(() => {
+      const closing = browserPromise;
+      browserPromise = null;
+      closing?.then(browser => browser.close()).catch(() => {});
+    }, BROWSER_IDLE_MS);
+    idleTimer.unref();
+  }
+}
+
+// ============ RENDER ============
+
+/**
+ * Page HTML after its scripts ran: { ok, html, finalUrl } or { ok: false, error }.
+ * Rejects only when `signal` aborts.
+ */
+async function renderPage(url, { signal } = {}) {
+  const status = browserStatus();
+  if (!status.available) return { ok: false, error: status.reason };
+  const internal = await internalHostError(url);
+  if (internal) return { ok: false, error: internal };
+
+  await acquirePage(signal);
+  let page = null;
+  const onAbort = () => { page?.close().catch(() => {}); };
+  signal?.addEventListener('abort', onAbort, { once: true });
+  try {
+    signal?.throwIfAborted();
+    const browser = await getBrowser(status.executablePath);
+    page = await browser.newPage();
+    await page.setUserAgent(USER_AGENT);
+    await page.setRequestInterception(true);
+    page.on('request', async (request) => {
+      let blocked = BLOCKED_RESOURCES.has(request.resourceType());
+      if (!blocked && /^https?:/i.test(request.url())) blocked = Boolean(await internalHostError(request.url()));
+      if (blocked) request.abort().catch(() => {});
+      else request.continue().catch(() => {});
+    });
+
+    let response = null;
+    try {
+      response = await page.goto(url, { waitUntil: 'networkidle2', timeout: RENDER_TIMEOUT_MS });
+    } catch (e) {
+      // A page that keeps polling never goes idle — take what has rendered by now
+      if (signal?.aborted || e.name !== 'TimeoutError') throw e;
+    }
+    if (response && response.status() >= 400) return { ok: false, status: response.status(), error: `HTTP ${response.status()}` };
+
+    await new Promise(resolve => setTimeout(resolve, SETTLE_MS));
+    return { ok: true, html: await page.content(), finalUrl: page.url() };
+  } catch (e) {
+    if (signal?.aborted) throw signal.reason;
+    return { ok: false, error: `браузер: ${e.message}` };
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    await page?.close().catch(() => {});
+    releasePage();
+  }
+}
+
+module.exports = { browserStatus, renderPage };
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Импортирует файловое хранилище (data/) в PostgreSQL.
+ * Запустить один раз: DATABASE_URL=postgres://... node import-to-postgres.js [dataDir]
+ * Повторный запуск безопасен — проекты обновляются по id.
+ */
+
+const path = require('path');
+const { createFileStorage } = require('./storage-file');
+const { createPgStorage } = require('./storage-pg');
+
+async function main() {
+  const dataDir = path.resolve(process.argv[2] || path.join(__dirname, 'data'));
+  const source = createFileStorage({ dataDir });
+  const target = createPgStorage();
+
+  try {
+    await target.init();
+    const projects = await source.listProjects();
+    console.log(`Импорт ${projects.length} проектов из ${dataDir}`);
+
+    let withHtml = 0;
+    for (const project of projects) {
+      const meta = await source.getMeta(project.id);
+      const html = await source.getHtml(project.id);
+      const versions = [];
+      for (const { version } of await source.listVersions(project.id)) {
+        const full = await source.getVersion(project.id, version);
+        if (full) versions.push(full);
+      }
+      await target.importProject({ project, meta, html, versions });
+      if (html) withHtml++;
+      console.log(`  ✓ ${project.id} — ${project.niche || '(без ниши)'}`);
+    }
+    console.log(`Готово: ${projects.length} проектов, ${withHtml} с HTML`);
+  } finally {
+    await target.close();
+  }
+}
+
+main().catch(err => {
+  console.error('Ошибка импорта:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,182 @@
+/**
+ * Global pipeline job queue.
+ * Caps the number of concurrent pipeline runs across all projects and keeps
+ * queued jobs in data/jobs.json so they survive a server restart.
+ * The file is written atomically and never holds an API key; one that does not parse stops
+ * the load (CorruptFileError) instead of dropping the queue.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { CorruptFileError, writeFileAtomicSync, readJsonFileSync } = require('./storage-file');
+
+const JOBS_FILE = path.join(__dirname, 'data', 'jobs.json');
+
+// Finished jobs kept in history (queued/running ones are never trimmed)
+const MAX_FINISHED_JOBS = 200;
+
+const FINISHED_STATUSES = ['done', 'error', 'stopped', 'cancelled', 'interrupted'];
+
+class JobQueue {
+  /**
+   * @param {object} opts
+   * @param {number} opts.concurrency — max pipelines running at once
+   * @param {(job) => Promise} opts.runJob — executes a job; rejects with `err.stopped` when stopped
+   * @param {(job) => void} [opts.onChange] — called on every job status change
+   * @param {(job) => void} [opts.onStop] — asks a running job to stop
+   */
+  constructor({ concurrency = 3, runJob, onChange = () => {}, onStop = () => {}, file = JOBS_FILE }) {
+    this.concurrency = Math.max(1, concurrency);
+    this.runJob = runJob;
+    this.onChange = onChange;
+    this.onStop = onStop;
+    this.file = file;
+    this.jobs = [];
+  }
+
+  // ============ PERSISTENCE ============
+
+  /**
+   * Restore jobs from disk. Jobs that were running when the process died are marked interrupted.
+   * Throws CorruptFileError when the file does not parse.
+   */
+  load() {
+    const jobs = readJsonFileSync(this.file, []);
+    if (!Array.isArray(jobs)) throw new CorruptFileError(this.file, new Error('ожидался массив задач'));
+    this.jobs = jobs;
+
+    for (const job of this.jobs) {
+      if (job.status === 'running') {
+        job.status = 'interrupted';
+        job.finishedAt = new Date().toISOString();
+      }
+    }
+    this.save();
+    return this;
+  }
+
+  save() {
+    const active = this.jobs.filter(j => !FINISHED_STATUSES.includes(j.status));
+    const finished = this.jobs.filter(j => FINISHED_STATUSES.includes(j.status)).slice(-MAX_FINISHED_JOBS);
+    this.jobs = [...finished, ...active].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    // Keys live in the vault; older jobs files carried one in plain text, and none is ever written back
+    const stored = this.jobs.map(({ apiKey, ...job }) => job);
+    writeFileAtomicSync(this.file, JSON.stringify(stored, null, 2), { mode: 0o600 });
+  }
+
+  // ============ QUEUE OPERATIONS ============
+
+  /** Active (queued or running) job of a project, if any */
+  active(projectId) {
+    return this.jobs.find(j => j.projectId === projectId && (j.status === 'queued' || j.status === 'running'));
+  }
+
+  /** Most recent job of a project, whatever its status */
+  latest(projectId) {
+    return [...this.jobs].reverse().find(j => j.projectId === projectId);
+  }
+
+  /** Record progress of a job (e.g. the step it is on) */
+  update(job, fields) {
+    Object.assign(job, fields);
+    this.save();
+  }
+
+  /**
+   * `sections` — block ids to regenerate instead of running the pipeline (sections mode);
+   * `startedBy` — username of who queued it, the author of the page versions the run saves
+   */
+  enqueue({ projectId, startFrom = null, sections = null, startedBy = null }) {
+    if (this.active(projectId)) throw new Error('Pipeline already running');
+
+    const job = {
+      id: crypto.randomUUID(),
+      projectId,
+      startFrom,
+      ...(sections ? { sections } : {}),
+      ...(startedBy ? { startedBy } : {}),
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    };
+    this.jobs.push(job);
+    this.save();
+    this.onChange(job);
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Cancel a queued job or ask a running one to stop.
+   * Returns false when the project has no active job.
+   */
+  cancel(projectId, opts = {}) {
+    const job = this.active(projectId);
+    if (!job) return false;
+
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+      this.save();
+      this.onChange(job);
+    } else {
+      this.onStop(job, opts);
+    }
+    return true;
+  }
+
+  drain() {
+    while (this.runningCount() < this.concurrency) {
+      const next = this.jobs.find(j => j.status === 'queued');
+      if (!next) break;
+      this.start(next);
+    }
+  }
+
+  start(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.save();
+    this.onChange(job);
+
+    Promise.resolve()
+      .then(() => this.runJob(job))
+      .then(() => {
+        job.status = 'done';
+      })
+      .catch((err) => {
+        job.status = err.stopped ? 'stopped' : 'error';
+        job.error = err.message;
+        if (err.step) job.step = err.step;
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        this.save();
+        this.onChange(job);
+        this.drain();
+      });
+  }
+
+  // ============ REPORTING ============
+
+  runningCount() {
+    return this.jobs.filter(j => j.status === 'running').length;
+  }
+
+  /** 1-based position among queued jobs, or null */
+  position(job) {
+    if (job.status !== 'queued') return null;
+    return this.jobs.filter(j => j.status === 'queued').indexOf(job) + 1;
+  }
+
+  describe(job) {
+    return { ...job, position: this.position(job) };
+  }
+
+  list() {
+    return this.jobs.map(j => this.describe(j));
+  }
+}
+
+module.exports = { JobQueue, JOBS_FILE };
@@ -0,0 +1,22 @@
+-- Projects keep their fields in `data`; id, workspace and timestamps are columns for filtering and ordering
+CREATE TABLE projects (
+  id           TEXT PRIMARY KEY,
+  workspace_id TEXT NOT NULL DEFAULT 'default',
+  data         JSONB NOT NULL,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX projects_workspace_idx ON projects (workspace_id, created_at);
+
+-- Pipeline state (what the file backend keeps in <id>.meta.json)
+CREATE TABLE project_meta (
+  project_id TEXT PRIMARY KEY,
+  data       JSONB NOT NULL DEFAULT '{}'
+);
+
+-- Generated site (<id>.html)
+CREATE TABLE project_html (
+  project_id TEXT PRIMARY KEY,
+  html       TEXT NOT NULL
+);
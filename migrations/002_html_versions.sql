@@ -0,0 +1,9 @@
+-- Version history of the generated site (versions.js): every saved page, its source and author in `data`
+CREATE TABLE project_html_versions (
+  project_id TEXT NOT NULL,
+  version    INTEGER NOT NULL,
+  html       TEXT NOT NULL,
+  data       JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (project_id, version)
+);
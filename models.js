@@ -0,0 +1,148 @@
+/**
+ * Per-step model routing.
+ * Effective config = built-in defaults ← data/model-config.json (global) ← project.model_config.
+ * Each route: { model, fallbacks, temperature, max_tokens }; step_1_2 has a `models` list instead of `model`.
+ */
+
+const path = require('path');
+const { writeFileAtomicSync, readJsonFileSync } = require('./storage-file');
+
+const GLOBAL_CONFIG_FILE = path.join(__dirname, 'data', 'model-config.json');
+
+const DEFAULT_MODEL_CONFIG = {
+  step_1_2: {
+    models: [
+      { id: 'openai/gpt-5', name: 'ChatGPT (GPT-5)' },
+      { id: 'google/gemini-3-pro-preview', name: 'Gemini 3 Pro' },
+      { id: 'anthropic/claude-sonnet-4.5', name: 'Claude (Sonnet 4.5)' },
+    ],
+  },
+  step_3: { model: 'x-ai/grok-4' },
+  step_4: { model: 'x-ai/grok-4' },
+  translate: { model: 'google/gemini-2.0-flash-001' },
+  step_5: { model: 'anthropic/claude-sonnet-4.5' },
+  step_6: { model: 'anthropic/claude-sonnet-4.5' },
+  step_7: { model: 'perplexity/sonar-pro' },
+  step_8_extract: { model: 'anthropic/claude-haiku-4.5' },
+  step_fill: { model: 'anthropic/claude-sonnet-4.5' },
+  block_regen: { model: 'anthropic/claude-haiku-4.5' },
+};
+
+const ROUTE_LABELS = {
+  step_1_2: 'Списки + критерии (3 модели)',
+  step_3: 'Дедупликация критериев',
+  step_4: 'Аудитории',
+  translate: 'Перевод ниши (дизайн-система)',
+  step_5: 'XML-компилятор',
+  step_6: 'Генерация сайта',
+  step_7: 'Поиск рейтингов',
+  step_8_extract: 'Извлечение компаний из рейтингов',
+  step_fill: 'Наполнение контентом',
+  block_regen: 'Регенерация блока в редакторе',
+};
+
+// ============ LOAD / MERGE ============
+
+// No file — the defaults; a file that does not parse throws CorruptFileError rather than silently running on defaults
+function readGlobalModelConfig() {
+  return readJsonFileSync(GLOBAL_CONFIG_FILE, {});
+}
+
+function writeGlobalModelConfig(config) {
+  writeFileAtomicSync(GLOBAL_CONFIG_FILE, JSON.stringify(config, null, 2));
+}
+
+function mergeConfig(base, overrides = {}) {
+  const merged = {};
+  for (const route of Object.keys(base)) {
+    merged[route] = { ...base[route], ...(overrides[route] || {}) };
+  }
+  return merged;
+}
+
+/** Global default (built-ins + data/model-config.json) */
+function getDefaultModelConfig() {
+  return mergeConfig(DEFAULT_MODEL_CONFIG, readGlobalModelConfig());
+}
+
+/** Effective config for a project */
+function resolveModelConfig(project = {}) {
+  return mergeConfig(getDefaultModelConfig(), project.model_config || {});
+}
+
+// ============ VALIDATION ============
+
+function validateRouteParams(route, cfg, errors) {
+  if (cfg.fallbacks !== undefined) {
+    if (!Array.isArray(cfg.fallbacks) || cfg.fallbacks.some(m => typeof m !== 'string' || !m.trim())) {
+      errors.push(`${route}: fallbacks должен быть списком ID моделей`);
+    }
+  }
+  if (cfg.temperature !== undefined && cfg.temperature !== null) {
+    if (typeof cfg.temperature !== 'number' || cfg.temperature < 0 || cfg.temperature > 2) {
+      errors.push(`${route}: temperature должна быть числом от 0 до 2`);
+    }
+  }
+  if (cfg.max_tokens !== undefined && cfg.max_tokens !== null) {
+    if (!Number.isInteger(cfg.max_tokens) || cfg.max_tokens <= 0) {
+      errors.push(`${route}: max_tokens должен быть положительным целым`);
+    }
+  }
+}
+
+/**
+ * Check a config (full or overrides only). Returns a list of errors, empty when valid.
+ * With `partial`, routes may be omitted.
+ */
+function validateModelConfig(config, { partial = false } = {}) {
+  const errors = [];
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return ['Конфигурация должна быть объектом'];
+
+  for (const route of Object.keys(config)) {
+    if (!DEFAULT_MODEL_CONFIG[route]) errors.push(`Неизвестный шаг: ${route}`);
+  }
+
+  for (const route of Object.keys(DEFAULT_MODEL_CONFIG)) {
+    const cfg = config[route];
+    if (cfg === undefined) {
+      if (!partial) errors.push(`${route}: не задан`);
+      continue;
+    }
+    if (!cfg || typeof cfg !== 'object') {
+      errors.push(`${route}: должен быть объектом`);
+      continue;
+    }
+
+    if (route === 'step_1_2') {
+      if (cfg.models !== undefined || !partial) {
+        if (!Array.isArray(cfg.models) || cfg.models.length === 0) {
+          errors.push('step_1_2: models должен быть непустым списком');
+        } else {
+          const ids = new Set();
+          for (const m of cfg.models) {
+            if (!m || typeof m.id !== 'string' || !m.id.trim()) errors.push('step_1_2: у каждой модели должен быть id');
+            else if (ids.has(m.id)) errors.push(`step_1_2: модель ${m.id} указана дважды`);
+            else ids.add(m.id);
+            if (m?.fallbacks !== undefined) validateRouteParams(`step_1_2 ${m.id}`, { fallbacks: m.fallbacks }, errors);
+          }
+        }
+      }
+    } else if (cfg.model !== undefined || !partial) {
+      if (typeof cfg.model !== 'string' || !cfg.model.trim()) errors.push(`${route}: не указана модель`);
+    }
+
+    validateRouteParams(route, cfg, errors);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_MODEL_CONFIG,
+  ROUTE_LABELS,
+  getDefaultModelConfig,
+  resolveModelConfig,
+  validateModelConfig,
+  readGlobalModelConfig,
+  writeGlobalModelConfig,
+};
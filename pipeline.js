@@ -1,20 +1,28 @@
 /**
  * Server-side pipeline runner.
- * Executes 9 steps sequentially, saves state after each step.
+ * Executes 11 steps sequentially, saves state after each step.
  */
 
 const fs = require('fs');
 const path = require('path');
 const bm25 = require('./bm25');
-
-const DATA_DIR = path.join(__dirname, 'data');
-const PROJECTS_DIR = path.join(DATA_DIR, 'projects');
-
-const MODELS = [
-  { id: 'openai/gpt-5', name: 'ChatGPT (GPT-5)' },
-  { id: 'google/gemini-3-pro-preview', name: 'Gemini 3 Pro' },
-  { id: 'anthropic/claude-sonnet-4.5', name: 'Claude (Sonnet 4.5)' },
-];
+const storage = require('./storage');
+const { resolveProvider } = require('./providers');
+const { resolveModelConfig, validateModelConfig } = require('./models');
+const { usageRecord, recordUsage } = require('./usage');
+const { buildExtractionPrompt, parseExtraction, parseModelList, mergeCompanyLists, formatConsensusForPrompt } = require('./companies');
+const { FLAGGED, collectCompanyLinks, precheck, verdictOf, pageFacts, hostOf } = require('./verify');
+const { decodeHtml, extractText } = require('./readability');
+const crawler = require('./crawler');
+const { buildCitations, addFootnotes } = require('./citations');
+const { checkConsistency } = require('./consistency');
+const headless = require('./headless');
+const { CONTRACTS, sectionContract, buildRepairPrompt } = require('./contracts');
+const { MAX_CONTINUATIONS, CONTINUE_PROMPT, htmlDocumentComplete, htmlDocument, isTruncated, stitchContinuation } = require('./truncation');
+const {
+  xmlCompanies, rankCompanies, fillCompanies, planSections, findSection, replaceSection, assemblePage, pageStyles, setItemList,
+  buildShellPrompt, buildSectionPrompt, buildSectionFillPrompt,
+} = require('./sections');
 
 const PIPELINE_STEPS = [
   { id: 'step_1_2', label: 'Списки + критерии' },
@@ -25,31 +33,16 @@ const PIPELINE_STEPS = [
   { id: 'step_6', label: 'Генерация сайта' },
   { id: 'step_7', label: 'Поиск рейтингов' },
   { id: 'step_8_web', label: 'Скачивание рейтингов' },
+  { id: 'step_8_extract', label: 'Извлечение компаний' },
   { id: 'step_fill', label: 'Наполнение контентом' },
+  { id: 'step_verify', label: 'Проверка сайтов компаний' },
 ];
 
 // ============ HELPERS ============
 
-function readProjectMeta(id) {
-  try { return JSON.parse(fs.readFileSync(path.join(PROJECTS_DIR, `${id}.meta.json`), 'utf8')); }
-  catch { return {}; }
-}
-
-function writeProjectMeta(id, meta) {
-  fs.writeFileSync(path.join(PROJECTS_DIR, `${id}.meta.json`), JSON.stringify(meta));
-}
-
-function readProjectHtml(id) {
-  try { return fs.readFileSync(path.join(PROJECTS_DIR, `${id}.html`), 'utf8'); }
-  catch { return ''; }
-}
-
-function writeProjectHtml(id, html) {
-  fs.writeFileSync(path.join(PROJECTS_DIR, `${id}.html`), html, 'utf8');
-}
-
-async function withRetry(fn, { retries = 3, baseDelay = 2000, label = '' } = {}) {
+async function withRetry(fn, { retries = 3, baseDelay = 2000, label = '', signal } = {}) {
   for (let attempt = 0; attempt <= retries; attempt++) {
+    signal?.throwIfAborted();
     try {
       return await fn();
     } catch (err) {
@@ -58,90 +51,209 @@ async function withRetry(fn, { retries = 3, baseDelay = 2000, label = '' } = {})
         err.message?.includes('network') ||
         err.message?.includes('ECONNRESET') ||
         err.message?.includes('ETIMEDOUT');
-      if (!isNetworkError || attempt === retries) throw err;
+      if (!isNetworkError || attempt === retries || signal?.aborted) throw err;
       const delay = baseDelay * Math.pow(2, attempt);
       console.warn(`[retry] ${label || 'request'} attempt ${attempt + 1}/${retries}, retrying in ${delay}ms: ${err.message}`);
-      await new Promise(r => setTimeout(r, delay));
+      // A stop frees the queue slot right away instead of after the backoff
+      await new Promise(r => {
+        const t = setTimeout(r, delay);
+        signal?.addEventListener('abort', () => { clearTimeout(t); r(); }, { once: true });
+      });
     }
   }
 }
 
-async function callModel(modelId, messages, apiKey) {
-  return withRetry(async () => {
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({ model: modelId, messages }),
-    });
+// `llm` = { provider, apiKey, signal, onUsage?, onDelta? } — provider comes from providers.js,
+// onUsage receives a usage record (usage.js) for every answered call,
+// onDelta(text, restart) streams the answer; `restart` marks the first piece of an attempt, what came before is void
+async function callModel(modelId, messages, { provider, apiKey, signal, onUsage, onDelta }, params = {}) {
+  const started = Date.now();
+  const attempt = () => {
+    let restart = true;
+    const delta = onDelta && ((text) => { onDelta(text, restart); restart = false; });
+    return provider.chat({ model: modelId, messages, apiKey, signal, params, onDelta: delta });
+  };
+  const result = await withRetry(attempt, { retries: 3, baseDelay: 2000, label: modelId, signal });
+  if (onUsage && !result.error) {
+    // Accounting must not turn an answered call into a failed one
+    try {
+      await onUsage(usageRecord({ model: result.servedModel || modelId, usage: result.usage, latency_ms: Date.now() - started }));
+    } catch (err) {
+      console.error(`[usage] Failed to record ${modelId}:`, err.message);
+    }
+  }
+  return result;
+}
+
+// Call a configured route (see models.js): the main model first, then each fallback in order
+async function callRoute(route, messages, llm) {
+  const { temperature, max_tokens } = route;
+  const candidates = [route.model, ...(route.fallbacks || [])];
+  let result;
 
-    if (!response.ok) {
-      const err = await response.text();
-      return { error: `Ошибка API: ${response.status} — ${err}` };
+  for (const modelId of candidates) {
+    try {
+      result = await callModel(modelId, messages, llm, { temperature, max_tokens });
+    } catch (err) {
+      if (llm.signal?.aborted) throw err;
+      result = { error: err.message };
     }
+    if (!result.error) return { ...result, model: modelId };
+    if (modelId !== candidates[candidates.length - 1]) {
+      console.warn(`[models] ${modelId} failed, falling back: ${result.error}`);
+    }
+  }
+  return result;
+}
 
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content || 'Пустой ответ';
-    return { content };
-  }, { retries: 3, baseDelay: 2000, label: modelId });
+// Route call for answers that may hit the output limit (truncation.js): a cut answer —
+// finish_reason "length" or `complete(content)` false — is continued by the same model and stitched,
+// up to MAX_CONTINUATIONS times. One still cut after that is returned as { error }.
+async function callUntilComplete(route, messages, llm, { complete, onContinue } = {}) {
+  const data = await callRoute(route, messages, llm);
+  if (data.error) return data;
+
+  // The continuation has to come from the model that wrote the beginning
+  const sameModel = { ...route, model: data.model, fallbacks: [] };
+  let { content, finishReason } = data;
+  let continuations = 0;
+  while (isTruncated({ content, finishReason }, complete)) {
+    if (continuations >= MAX_CONTINUATIONS) {
+      const reason = finishReason === 'length' ? 'лимит длины ответа' : 'документ не закрыт';
+      return { error: `ответ обрезан (${reason}) и после ${MAX_CONTINUATIONS} продолжений` };
+    }
+    continuations++;
+    onContinue?.(continuations, finishReason);
+    const next = await callRoute(sameModel, [
+      ...messages,
+      { role: 'assistant', content },
+      { role: 'user', content: CONTINUE_PROMPT },
+    ], llm);
+    if (next.error) return next;
+    content = stitchContinuation(content, next.content);
+    finishReason = next.finishReason;
+  }
+  return { ...data, content, finishReason, continuations };
 }
 
-// Direct fetch — no CORS proxies needed on server
-async function downloadSite(url) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 15000);
+// Route call whose answer must satisfy an output contract (contracts.js).
+// An invalid answer goes back to the model with the validation errors, up to REPAIR_ATTEMPTS times.
+// Returns { value, errors, content, repairs } — `errors` left after the last attempt (value may still be usable),
+// or { error } when the call itself failed.
+const REPAIR_ATTEMPTS = 2;
+
+async function callWithContract(route, messages, llm, contract, { onRepair, onContinue } = {}) {
+  let history = messages;
+  let repairs = 0;
+  for (;;) {
+    const data = await callUntilComplete(route, history, llm, { complete: contract.complete, onContinue });
+    if (data.error) return data;
+    const { value, errors } = contract.validate(data.content);
+    if (!errors.length || repairs >= REPAIR_ATTEMPTS) {
+      return { value, errors, content: data.content, model: data.model, repairs };
+    }
+    repairs++;
+    onRepair?.(errors, repairs);
+    history = [
+      ...messages,
+      { role: 'assistant', content: data.content },
+      { role: 'user', content: buildRepairPrompt(contract, errors) },
+    ];
+  }
+}
 
+// Page download through the polite crawler (crawler.js): robots.txt, per-host limits, retries, disk cache.
+// `signal` is the run's cancellation token.
+// Results carry the HTTP `status` when the server answered and the network error `code` when it did not.
+async function downloadSite(url, signal) {
+  let page;
   try {
-    const resp = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; NicheRatingBot/1.0)',
-        'Accept': 'text/html,application/xhtml+xml',
-      },
-    });
-    clearTimeout(timeout);
+    page = await crawler.fetchPage(url, { signal });
+  } catch (e) {
+    if (signal?.aborted) return { ok: false, error: 'остановлено', stopped: true };
+    return { ok: false, error: e.message };
+  }
+  if (!page.ok) return page;
 
-    if (!resp.ok) {
-      return { ok: false, error: `HTTP ${resp.status}` };
-    }
+  // Bytes, not resp.text(): that is always UTF-8 and garbles windows-1251 pages
+  const html = decodeHtml(page.body, page.contentType);
+  if (!html || html.length < 100) {
+    return { ok: false, status: page.status, error: `пустой ответ (${html?.length || 0} байт)` };
+  }
 
-    const html = await resp.text();
-    if (!html || html.length < 100) {
-      return { ok: false, error: `пустой ответ (${html?.length || 0} байт)` };
-    }
+  const text = extractText(html, { pageUrl: page.finalUrl });
+  return { ok: true, status: page.status, finalUrl: page.finalUrl, fromCache: page.fromCache, html, text };
+}
 
-    const text = extractText(html).substring(0, 8000);
-    return { ok: true, html, text };
+// Below this much extracted text a static page is taken for a JavaScript shell
+const MIN_STATIC_TEXT = 500;
+const RENDER_MODES = ['auto', 'never', 'always'];
+
+// Whether a rating page goes through the headless browser (headless.js) after the static fetch.
+// auto — when the static HTML gave too little text; never robots-blocked or internal hosts, or HTTP errors.
+function needsBrowser(result, renderMode) {
+  if (renderMode === 'never' || result.robotsBlocked || result.internalHost) return false;
+  if (renderMode === 'always') return true;
+  if (result.ok) return result.text.length < MIN_STATIC_TEXT;
+  return Boolean(result.status) && result.status < 400;
+}
+
+// Same result shape as downloadSite(), the HTML taken from the browser after scripts ran
+async function renderSite(url, signal) {
+  let page;
+  try {
+    page = await headless.renderPage(url, { signal });
   } catch (e) {
-    clearTimeout(timeout);
-    const reason = e.name === 'AbortError' ? 'таймаут 15с' : e.message;
-    return { ok: false, error: reason };
+    if (signal?.aborted) return { ok: false, error: 'остановлено', stopped: true };
+    return { ok: false, error: e.message };
+  }
+  if (!page.ok) return page;
+
+  const text = extractText(page.html, { pageUrl: page.finalUrl });
+  return { ok: true, finalUrl: page.finalUrl, html: page.html, text };
+}
+
+/**
+ * One rating page the way step_8_web gets it: static fetch, then the browser when the project's
+ * render mode asks for it. Adds `fetchMethod` (static / cache / browser) to a downloadSite()-shaped result.
+ * `browser` is headless.browserStatus(), checked once per run by the caller.
+ */
+async function fetchRating(url, { renderMode = 'auto', browser, signal, onProgress } = {}) {
+  let result = await downloadSite(url, signal);
+  if (result.stopped) return result;
+  let fetchMethod = result.fromCache ? 'cache' : 'static';
+
+  if (needsBrowser(result, renderMode) && browser?.available) {
+    onProgress?.('Отрисовка в браузере');
+    const rendered = await renderSite(url, signal);
+    if (rendered.stopped) return rendered;
+    if (rendered.ok && (!result.ok || rendered.text.length > result.text.length)) {
+      result = rendered;
+      fetchMethod = 'browser';
+    } else if (!rendered.ok) {
+      console.warn(`[pipeline] Browser render failed for ${url}: ${rendered.error}`);
+    }
   }
+  return { ...result, fetchMethod };
 }
 
-// Regex-based HTML to text (no DOMParser on server)
-function extractText(html) {
-  return html
-    .replace(/<script[\s\S]*?<\/script>/gi, '')
-    .replace(/<style[\s\S]*?<\/style>/gi, '')
-    .replace(/<svg[\s\S]*?<\/svg>/gi, '')
-    .replace(/<noscript[\s\S]*?<\/noscript>/gi, '')
-    .replace(/<nav[\s\S]*?<\/nav>/gi, '')
-    .replace(/<footer[\s\S]*?<\/footer>/gi, '')
-    .replace(/<header[\s\S]*?<\/header>/gi, '')
-    .replace(/<[^>]+>/g, ' ')
-    .replace(/&[a-zA-Z]+;/g, ' ')
-    .replace(/\n{3,}/g, '\n\n')
-    .replace(/[ \t]+/g, ' ')
-    .trim()
-    .substring(0, 8000);
+/** Project render mode → the `renderMode` / `browser` options of fetchRating() */
+function renderOptions(project) {
+  const renderMode = RENDER_MODES.includes(project.render_mode) ? project.render_mode : 'auto';
+  return { renderMode, browser: renderMode === 'never' ? { available: false } : headless.browserStatus() };
+}
+
+// Companies the step_1_2 models agree on: each model's first answer ("список 30") parsed and merged
+function buildModelConsensus(stepModels, conversations) {
+  return mergeCompanyLists(stepModels.map(m => {
+    const answer = (conversations[m.id] || []).find(msg => msg.role === 'assistant')?.content || '';
+    return { source: { name: m.name }, companies: answer.startsWith('[Ошибка]') ? [] : parseModelList(answer) };
+  }));
 }
 
 // ============ PROMPTS (extracted from index.html) ============
 
-function buildSitePrompt(niche, geo, siteLang, compilerRawXml, designSystemRaw) {
+function buildSitePrompt(niche, geo, siteLang, compilerRawXml, designSystemRaw, modelConsensusTable) {
   const geoStr = geo ? ` в ${geo}` : '';
   const siteLangStr = `Весь контент сайта на языке: ${siteLang || 'Русский'}`;
 
@@ -203,7 +315,12 @@ Hero должен иметь сильную entrance-анимацию и виз
 
 3. ОСНОВНОЙ РЕЙТИНГ (The Core) — ВНИМАНИЕ К ДЕТАЛЯМ!
 Включи ВСЕ компании из XML (обычно 20-30). Schema.org/ItemList.
-Правило Лидера: Компания с наивысшим баллом — на 1 месте (Badge "Выбор редакции").
+${modelConsensusTable ? `Состав и порядок компаний — по консенсусу нейросетей (таблица ниже): компании, которые назвали больше моделей и выше, стоят выше. URL сайтов бери из таблицы.
+
+<model_consensus>
+${modelConsensusTable}
+</model_consensus>
+` : ''}Правило Лидера: Компания с наивысшим баллом — на 1 месте (Badge "Выбор редакции").
 Места 1-5: Расширенные Premium Карточки. Места 6+: Компактная таблица.
 
 КРИТИЧЕСКИ ВАЖНО — САЙТЫ КОМПАНИЙ:
@@ -231,7 +348,7 @@ Hero должен иметь сильную entrance-анимацию и виз
 ${compilerRawXml}`;
 }
 
-function buildFillPrompt(canvasRawHtml, ratingDataBlocks, userCompanyData, compilerRawXml, siteLang) {
+function buildFillPrompt(canvasRawHtml, ratingDataBlocks, userCompanyData, compilerRawXml, siteLang, consensusTable) {
   const fillSiteLangStr = `Весь контент сайта на языке: ${siteLang || 'Русский'}`;
 
   // Protect SEO/counters blocks
@@ -261,17 +378,22 @@ function buildFillPrompt(canvasRawHtml, ratingDataBlocks, userCompanyData, compi
 ${cleanedHtml}
 </template>
 
-2. ДАННЫЕ С РЕЙТИНГОВЫХ САЙТОВ (структурированные обзоры — ОСНОВНОЙ источник фактов):
+2. КОНСЕНСУС-РЕЙТИНГ (компании, сведённые по всем рейтинговым сайтам: сколько источников их упоминают, места, цены, отзывы):
+<consensus_ranking>
+${consensusTable || '(Компании из рейтингов не извлечены)'}
+</consensus_ranking>
+
+3. ДАННЫЕ С РЕЙТИНГОВЫХ САЙТОВ (структурированные обзоры — ОСНОВНОЙ источник фактов; у каждого источника id [S1], [S2]...):
 <ratings_data>
 ${ratingDataBlocks || '(Рейтинговые сайты не были скачаны)'}
 </ratings_data>
 
-3. ДАННЫЕ КОМПАНИИ ПОЛЬЗОВАТЕЛЯ (ДОЛЖНА СТАТЬ #1 В РЕЙТИНГЕ):
+4. ДАННЫЕ КОМПАНИИ ПОЛЬЗОВАТЕЛЯ (ДОЛЖНА СТАТЬ #1 В РЕЙТИНГЕ):
 <user_company>
 ${userCompanyData || '(Пользователь не предоставил данные своей компании)'}
 </user_company>
 
-4. XML-СТРУКТУРА КРИТЕРИЕВ:
+5. XML-СТРУКТУРА КРИТЕРИЕВ:
 <criteria>
 ${compilerRawXml}
 </criteria>
@@ -284,6 +406,8 @@ ${compilerRawXml}
 5. ${fillSiteLangStr}.
 6. САМОЕ СТРОГОЕ ПРАВИЛО: У КАЖДОЙ компании ОБЯЗАТЕЛЬНО указан URL сайта (кликабельная ссылка <a href="...">). Ни одна компания не может быть без сайта.
 7. Год рейтинга — 2026. Все даты должны указывать на 2026 год.
+8. Состав и порядок компаний (после компании пользователя) бери из консенсус-рейтинга: чем больше источников и выше места — тем выше компания. Цены, число отзывов и URL сайтов — оттуда же, без выдуманных цифр.
+9. ИСТОЧНИКИ ФАКТОВ: каждый факт в карточке или строке компании (оценка, цена, число отзывов, кейс) оберни в <span data-cite="S2" data-fact="score|price|reviews|case">...</span>, где S2 — id источника из ratings_data, откуда взят факт. Факты без источника не оборачивай.
 
 СОХРАНЕНИЕ РАЗМЕТКИ: data-block-id, data-block-type, data-company-rank — без изменений.
 ЗАЩИТНЫЕ МАРКЕРЫ: <!-- PROTECTED:SEO/COUNTERS --> — НЕ ТРОГАЙ.
@@ -319,17 +443,79 @@ function restoreProtectedBlocks(html, savedSeoBlock, savedCountersBlock) {
   return result;
 }
 
+// Rating pages step_fill works from: sources with ids S1... (they tie the facts of the filled page to the
+// rating they came from, citations.js) and the prompt blocks, capped at MAX_RATINGS_CHARS.
+// Only the ratings that fit into the prompt get an id and become citation sources — the model never saw the rest.
+const MAX_RATINGS_CHARS = 60000;
+
+function ratingSources(extractedRatings, downloadedRatings) {
+  let ratingsChars = 0;
+  const citationSources = [];
+  for (const r of extractedRatings.filter(r => r.status === 'done' && !r.excluded && downloadedRatings[r.name])) {
+    const text = downloadedRatings[r.name].text.substring(0, 8000);
+    ratingsChars += text.length;
+    if (ratingsChars > MAX_RATINGS_CHARS) break;
+    citationSources.push({ id: `S${citationSources.length + 1}`, name: r.name, url: r.url, text });
+  }
+  const ratingDataBlocks = citationSources
+    .map(({ id, name, url, text }) => `=== [${id}] ${name}${url ? ` (${url})` : ''} ===\n${text}`)
+    .join('\n\n---\n\n');
+  return { citationSources, ratingDataBlocks };
+}
+
+// Sections generated or filled at once in sections mode
+const SECTION_CONCURRENCY = 3;
+// Streamed answers go out as step_delta events at most this often
+const DELTA_INTERVAL_MS = 300;
+
 // ============ MAIN PIPELINE ============
 
-let currentRun = null;
+// Map: projectId → { controller, step, discard } — one cancellation token per run
+const activeRuns = new Map();
+
+/**
+ * Run the pipeline from `startFrom` to the end.
+ * `options.sections` — block ids of a sections-mode page: only these are regenerated (at the plan's stage), nothing else runs.
+ * `options.author` — who started the run, recorded in the page versions it saves.
+ */
+async function runPipeline(projectId, apiKey, startFrom, emit, options = {}) {
+  if (activeRuns.has(projectId)) throw new Error('Pipeline already running');
+
+  const run = { controller: new AbortController(), step: null, discard: false };
+  activeRuns.set(projectId, run);
+
+  try {
+    await executePipeline(projectId, apiKey, startFrom, emit, run, options);
+    run.controller.signal.throwIfAborted();
+  } catch (err) {
+    if (!run.controller.signal.aborted) throw err;
+
+    // Stopped: meta keeps the results of completed steps, plus where the run was interrupted
+    if (!run.discard) {
+      await storage.updateMeta(projectId, (meta) => {
+        meta.stoppedAt = { step: run.step, at: new Date().toISOString() };
+      });
+    }
+    const stopped = new Error(`Пайплайн остановлен на шаге ${run.step || '—'}`);
+    stopped.stopped = true;
+    stopped.step = run.step;
+    throw stopped;
+  } finally {
+    activeRuns.delete(projectId);
+  }
+}
 
-async function runPipeline(projectId, apiKey, startFrom, emit) {
-  const projectsFile = path.join(DATA_DIR, 'projects.json');
-  const projects = JSON.parse(fs.readFileSync(projectsFile, 'utf8'));
-  const project = projects.find(p => p.id === projectId);
+async function executePipeline(projectId, apiKey, startFrom, emit, run, options) {
+  const { signal } = run.controller;
+  const project = await storage.getProject(projectId);
   if (!project) throw new Error('Project not found');
 
-  const meta = readProjectMeta(projectId);
+  const meta = await storage.getMeta(projectId);
+  const llm = { provider: resolveProvider(project), apiKey, signal, onUsage: trackUsage };
+
+  const routes = resolveModelConfig(project);
+  const configErrors = validateModelConfig(routes);
+  if (configErrors.length) throw new Error(`Некорректная конфигурация моделей: ${configErrors.join('; ')}`);
   const stepOrder = PIPELINE_STEPS.map(s => s.id);
   let startIdx = startFrom ? stepOrder.indexOf(startFrom) : 0;
   if (startIdx < 0) startIdx = 0;
@@ -340,9 +526,17 @@ async function runPipeline(projectId, apiKey, startFrom, emit) {
   let grokAudienceRaw = meta.grokAudienceRaw || '';
   let designSystemRaw = meta.designSystemRaw || '';
   let compilerRawXml = meta.compilerRawXml || '';
-  let canvasRawHtml = meta.canvasRawHtml || readProjectHtml(projectId);
+  let canvasRawHtml = meta.canvasRawHtml || await storage.getHtml(projectId);
   let extractedRatings = meta.extractedRatings || [];
   let downloadedRatings = meta.downloadedRatings || {};
+  let companyExtractions = meta.companyExtractions || {};
+  let consensusRanking = meta.consensusRanking || [];
+  let modelConsensus = meta.modelConsensus || [];
+  // Models that answered step_1_2 — conversations are keyed by their ids
+  let stepModels = startIdx <= 0 ? routes.step_1_2.models : (meta.models || routes.step_1_2.models);
+  stepModels = stepModels.map(m => ({ ...m, name: m.name || m.id }));
+  // Runs saved before reconciliation existed get it from the stored answers
+  if (!modelConsensus.length && startIdx > 0) modelConsensus = buildModelConsensus(stepModels, conversations);
 
   const { niche, geo, geo_request, query_lang, site_lang } = project;
   const geoStr = geo ? ` в ${geo}` : '';
@@ -350,35 +544,251 @@ async function runPipeline(projectId, apiKey, startFrom, emit) {
   const queryLangStr = `Отвечай на языке: ${query_lang || 'Русский'}`;
   const contextBlock = (geoRequestStr ? `\nКОНТЕКСТ ЛОКАЦИИ: ${geoRequestStr}` : '') + `\nЯЗЫК ОТВЕТА: ${queryLangStr}`;
 
-  function saveMeta(updates) {
+  // Usage is written right away, independent of step results: a failed or stopped step still cost money
+  async function trackUsage(record) {
+    if (run.discard) return;
+    let usageTotals;
+    await storage.updateMeta(projectId, (m) => {
+      usageTotals = recordUsage(m, { ...record, step: run.step });
+    });
+    await storage.updateProject(projectId, (p) => { p.usage_totals = usageTotals; });
+  }
+
+  function startStep(step, label) {
+    signal.throwIfAborted();
+    run.step = step;
+    emit('step_start', { step, label });
+  }
+
+  // `call(llm)` with the step's answer streamed as step_delta events { step, delta, reset }: pieces are batched
+  // per DELTA_INTERVAL_MS, `reset` — a new call began (retry, fallback, repair, continuation) and the text starts over.
+  // What is still pending when the call returns or fails is sent then, so the live text ends where the answer does.
+  // Only for calls made one at a time: parallel ones (step_1_2, step_8_extract, sections) would interleave.
+  async function streamed(step, call) {
+    let pending = '';
+    let reset = false;
+    let sentAt = 0;
+    const flush = () => {
+      if (!pending && !reset) return;
+      emit('step_delta', { step, delta: pending, reset });
+      pending = '';
+      reset = false;
+      sentAt = Date.now();
+    };
+    const onDelta = (text, restart) => {
+      if (restart) {
+        pending = '';
+        reset = true;
+      }
+      pending += text;
+      if (Date.now() - sentAt >= DELTA_INTERVAL_MS) flush();
+    };
+    try {
+      return await call({ ...llm, onDelta });
+    } finally {
+      flush();
+    }
+  }
+
+  const onContinue = (step) => (attempt, finishReason) => emit('step_progress', {
+    step,
+    message: `Ответ обрезан (${finishReason === 'length' ? 'лимит длины' : 'документ не закрыт'}), продолжение ${attempt}/${MAX_CONTINUATIONS}`,
+  });
+
+  // Whole HTML page from one call, continued while it is cut; the step fails on a page that stays cut
+  async function callStepForPage(step, messages) {
+    const data = await streamed(step, (stepLlm) => callUntilComplete(routes[step], messages, stepLlm, {
+      complete: htmlDocumentComplete, onContinue: onContinue(step),
+    }));
+    if (data.error) throw new Error(`${step} (${routes[step].model}): ${data.error}`);
+    return htmlDocument(data.content);
+  }
+
+  // Contract-checked step call: repairs are reported as progress; the step fails only
+  // when nothing usable came back, leftover errors become a warning. `stream: false` for calls running side by side.
+  async function callStepWithContract(step, messages, contract, { stream = true } = {}) {
+    const route = routes[step];
+    const call = (stepLlm) => callWithContract(route, messages, stepLlm, contract, {
+      onRepair: (errors, attempt) => emit('step_progress', {
+        step, message: `Ответ не прошёл проверку (${errors.length} ош.), исправление ${attempt}/${REPAIR_ATTEMPTS}`,
+      }),
+      onContinue: onContinue(step),
+    });
+    const data = await (stream ? streamed(step, call) : call(llm));
+    if (data.error) throw new Error(`${step} (${route.model}): ${data.error}`);
+    if (!data.value) throw new Error(`${step} (${route.model}): ${contract.title} не прошёл проверку: ${data.errors.join('; ')}`);
+    if (data.errors.length) {
+      console.warn(`[contracts] ${step}: ${data.errors.length} errors left after ${data.repairs} repairs: ${data.errors.join('; ')}`);
+      emit('step_progress', { step, message: `Ответ принят с замечаниями: ${data.errors.slice(0, 3).join('; ')}` });
+    }
+    return data;
+  }
+
+  // Every write goes through a stop check, so nothing lands in meta after Stop.
+  // Only the changed fields are merged into the stored meta — usage recorded meanwhile is kept.
+  async function saveMeta(updates) {
+    signal.throwIfAborted();
     Object.assign(meta, updates);
-    writeProjectMeta(projectId, meta);
+    await storage.updateMeta(projectId, (m) => {
+      Object.assign(m, updates);
+      delete m.stoppedAt;
+    });
   }
 
-  function updateProject(updates) {
-    const projs = JSON.parse(fs.readFileSync(projectsFile, 'utf8'));
-    const p = projs.find(pr => pr.id === projectId);
-    if (p) {
+  // `source` — what produced the page, recorded in its version (versions.js)
+  async function saveHtml(html, source) {
+    signal.throwIfAborted();
+    await storage.saveHtml(projectId, html, { source, author: options.author || null });
+  }
+
+  async function updateProject(updates) {
+    signal.throwIfAborted();
+    await storage.updateProject(projectId, (p) => {
       Object.assign(p, updates, { updated_at: new Date().toISOString() });
-      fs.writeFileSync(projectsFile, JSON.stringify(projs, null, 2));
+    });
+  }
+
+  // ---- Sections mode (sections.js): the page is generated and filled one section at a time ----
+  const sectionsMode = project.generation_mode === 'sections';
+
+  // `work(section)` → section HTML for every section, SECTION_CONCURRENCY at a time.
+  // A section that fails is recorded with its error instead of failing the step.
+  async function eachSection(step, sections, work) {
+    const results = new Map();
+    const queue = [...sections];
+    async function worker() {
+      while (queue.length > 0) {
+        signal.throwIfAborted();
+        const section = queue.shift();
+        emit('step_progress', { step, message: `Секция: ${section.label}` });
+        try {
+          results.set(section.id, { section, html: await work(section), error: null });
+        } catch (err) {
+          if (signal.aborted) throw err;
+          console.warn(`[sections] ${step} ${section.id}: ${err.message}`);
+          emit('step_progress', { step, message: `Секция «${section.label}» не получена: ${err.message}` });
+          results.set(section.id, { section, html: null, error: err.message });
+        }
+      }
+    }
+    await Promise.all(Array.from({ length: Math.min(SECTION_CONCURRENCY, sections.length) }, () => worker()));
+    return sections.map(s => results.get(s.id));
+  }
+
+  // Plan sections with the outcome of a pass: status, the step it ran at, the error
+  function mergeSectionResults(sections, results, step) {
+    const byId = new Map(results.map(r => [r.section.id, r]));
+    return sections.map(({ error, ...section }) => {
+      const result = byId.get(section.id);
+      if (!result) return error ? { ...section, error } : section;
+      return result.html ? { ...section, status: 'done', step } : { ...section, status: 'error', step, error: result.error };
+    });
+  }
+
+  async function generateSection(section, companies, styles) {
+    const prompt = buildSectionPrompt(section, { niche, geo, siteLang: site_lang, compilerRawXml, companies, styles });
+    const { value } = await callStepWithContract('step_6', [{ role: 'user', content: prompt }], sectionContract(section), { stream: false });
+    return value;
+  }
+
+  async function fillSection(section, html, context) {
+    const template = findSection(html, section.id);
+    if (!template) throw new Error('секции нет на странице');
+    const prompt = buildSectionFillPrompt(section, template.html, context);
+    const { value } = await callStepWithContract('step_fill', [{ role: 'user', content: prompt }], sectionContract(section), { stream: false });
+    return value;
+  }
+
+  // Context of the fill prompts; `companies` is the final order, the user's company first,
+  // as many as the template was generated for
+  function sectionFillContext(ratingDataBlocks) {
+    return {
+      siteLang: site_lang,
+      companies: fillCompanies(project.injection_name, consensusRanking, meta.siteSections?.companies || []),
+      ratingDataBlocks,
+      userCompanyData: project.injection_info || '',
+      consensusTable: formatConsensusForPrompt(consensusRanking),
+    };
+  }
+
+  // Sections put into the page in place of their old versions (failed ones keep the old version)
+  function applySections(html, results) {
+    return results.reduce((page, r) => (r.html ? replaceSection(page, r.section.id, r.html) || page : page), html);
+  }
+
+  // Filled page → citation spans, footnotes (when the project wants them) and the consistency report
+  function finishFilledPage(html, citationSources) {
+    const cited = buildCitations(html, citationSources);
+    const finished = project.cite_footnotes ? addFootnotes(cited.html, cited.citations) : cited.html;
+    const consistency = {
+      step_6: meta.consistency?.step_6,
+      step_fill: checkConsistency(finished, { step: 'step_fill', injectionName: project.injection_name, citations: cited.citations }),
+    };
+    return { html: finished, citations: cited.citations, consistency };
+  }
+
+  // === SECTION RETRY: only the given sections, brought to the stage of the plan ===
+  if (options.sections) {
+    const plan = meta.siteSections;
+    if (!plan?.sections?.length) throw new Error('Страница собрана не по секциям');
+    const stage = plan.stage;
+    startStep(stage, stage === 'step_fill' ? 'Наполнение секций' : 'Генерация секций');
+
+    let html = canvasRawHtml || await storage.getHtml(projectId);
+    const requested = plan.sections.filter(s => options.sections.includes(s.id));
+    let sections = plan.sections;
+
+    // Sections never generated (or regenerated on purpose before the fill) get a new template first
+    const toGenerate = requested.filter(s => stage === 'step_6' || (s.status === 'error' && s.step === 'step_6'));
+    if (toGenerate.length) {
+      const styles = pageStyles(html);
+      const results = await eachSection('step_6', toGenerate, s => generateSection(s, plan.companies, styles));
+      html = applySections(html, results);
+      sections = mergeSectionResults(sections, results, 'step_6');
     }
+
+    let filled = null;
+    if (stage === 'step_fill') {
+      const { citationSources, ratingDataBlocks } = ratingSources(extractedRatings, downloadedRatings);
+      const context = { ...sectionFillContext(ratingDataBlocks), companies: plan.companies };
+      // A section whose template could not be generated stays empty until a later retry
+      const toFill = requested.filter(s => {
+        const { status, step } = sections.find(x => x.id === s.id);
+        return !(status === 'error' && step === 'step_6');
+      });
+      const results = await eachSection('step_fill', toFill, s => fillSection(s, html, context));
+      sections = mergeSectionResults(sections, results, 'step_fill');
+      filled = finishFilledPage(applySections(html, results), citationSources);
+      html = filled.html;
+    }
+
+    const siteSections = { ...plan, sections, updatedAt: new Date().toISOString() };
+    const consistency = filled ? filled.consistency : { ...meta.consistency, step_6: checkConsistency(html, { step: 'step_6' }) };
+    canvasRawHtml = html;
+    await saveHtml(html, 'sections');
+    await saveMeta({ siteSections, consistency, ...(filled ? { citations: filled.citations } : {}) });
+    emit('step_done', { step: stage, data: { siteSections, consistency, ...(filled ? { citations: filled.citations } : {}) } });
+    return;
   }
 
   // === STEP 1-2: Three models parallel ===
   if (startIdx <= 0) {
-    emit('step_start', { step: 'step_1_2', label: 'Списки + критерии' });
+    startStep('step_1_2', 'Списки + критерии');
 
     const prompt1 = `Составь список 30 ${niche}${geoStr}${contextBlock}`;
     const prompt2 = `Почему именно эти сервисы были поставлены в ТОП. 1. Составь список критериев, по которым ты оценивал сайты 2. Разгруппируй эти критерии на смысловые группы 3. Отранжируй эти критерии в порядке уменьшения веса влияния на место в рейтинге${contextBlock}`;
 
-    for (const model of MODELS) {
+    const { temperature, max_tokens } = routes.step_1_2;
+    const routeOf = (model) => ({ model: model.id, fallbacks: model.fallbacks, temperature, max_tokens });
+
+    for (const model of stepModels) {
       conversations[model.id] = [{ role: 'user', content: prompt1 }];
     }
 
     // Send prompt1 to all models in parallel
-    const results1 = await Promise.all(MODELS.map(async (model) => {
+    await Promise.all(stepModels.map(async (model) => {
       try {
-        const data = await callModel(model.id, conversations[model.id], apiKey);
+        const data = await callRoute(routeOf(model), conversations[model.id], llm);
         if (data.error) {
           conversations[model.id].push({ role: 'assistant', content: `[Ошибка] ${data.error}` });
         } else {
@@ -391,13 +801,13 @@ async function runPipeline(projectId, apiKey, startFrom, emit) {
     }));
 
     // Send prompt2 to all models in parallel
-    for (const model of MODELS) {
+    for (const model of stepModels) {
       conversations[model.id].push({ role: 'user', content: prompt2 });
     }
 
-    await Promise.all(MODELS.map(async (model) => {
+    await Promise.all(stepModels.map(async (model) => {
       try {
-        const data = await callModel(model.id, conversations[model.id], apiKey);
+        const data = await callRoute(routeOf(model), conversations[model.id], llm);
         if (data.error) {
           conversations[model.id].push({ role: 'assistant', content: `[Ошибка] ${data.error}` });
         } else {
@@ -409,16 +819,18 @@ async function runPipeline(projectId, apiKey, startFrom, emit) {
       }
     }));
 
-    saveMeta({ currentStep: 'step_1_2', conversations });
-    updateProject({ currentStep: 'step_1_2' });
-    emit('step_done', { step: 'step_1_2', data: { conversations } });
+    const models = stepModels.map(({ id, name }) => ({ id, name }));
+    modelConsensus = buildModelConsensus(stepModels, conversations);
+    await saveMeta({ currentStep: 'step_1_2', conversations, models, modelConsensus });
+    await updateProject({ currentStep: 'step_1_2' });
+    emit('step_done', { step: 'step_1_2', data: { conversations, models, modelConsensus } });
   }
 
   // === STEP 3: Grok criteria deduplication ===
   if (startIdx <= 1) {
-    emit('step_start', { step: 'step_3', label: 'Дедупликация Grok' });
+    startStep('step_3', 'Дедупликация Grok');
 
-    const criteriaBlocks = MODELS.map(m => {
+    const criteriaBlocks = stepModels.map(m => {
       const msgs = conversations[m.id] || [];
       const lastAssistant = [...msgs].reverse().find(msg => msg.role === 'assistant');
       return `=== ${m.name} ===\n${lastAssistant?.content || '(нет ответа)'}`;
@@ -439,18 +851,18 @@ async function runPipeline(projectId, apiKey, startFrom, emit) {
 ${criteriaBlocks}
 </data>`;
 
-    const grokData = await callModel('x-ai/grok-4', [{ role: 'user', content: grokPrompt }], apiKey);
-    if (grokData.error) throw new Error(`Grok step_3: ${grokData.error}`);
+    const grokData = await streamed('step_3', (stepLlm) => callRoute(routes.step_3, [{ role: 'user', content: grokPrompt }], stepLlm));
+    if (grokData.error) throw new Error(`step_3 (${routes.step_3.model}): ${grokData.error}`);
     grokCriteriaRaw = grokData.content;
 
-    saveMeta({ currentStep: 'step_3', grokCriteriaRaw });
-    updateProject({ currentStep: 'step_3' });
+    await saveMeta({ currentStep: 'step_3', grokCriteriaRaw });
+    await updateProject({ currentStep: 'step_3' });
     emit('step_done', { step: 'step_3', data: { grokCriteriaRaw } });
   }
 
   // === STEP 4: Grok audience analysis ===
   if (startIdx <= 2) {
-    emit('step_start', { step: 'step_4', label: 'Аудитории Grok' });
+    startStep('step_4', 'Аудитории Grok');
 
     const audiencePrompt = `ЯЗЫК ОТВЕТА: ${queryLangStr}
 
@@ -472,18 +884,18 @@ ${criteriaBlocks}
 
 Без вступления и заключения.`;
 
-    const audData = await callModel('x-ai/grok-4', [{ role: 'user', content: audiencePrompt }], apiKey);
-    if (audData.error) throw new Error(`Grok step_4: ${audData.error}`);
+    const audData = await callStepWithContract('step_4', [{ role: 'user', content: audiencePrompt }], CONTRACTS.audience);
     grokAudienceRaw = audData.content;
+    const audienceTable = audData.value;
 
-    saveMeta({ currentStep: 'step_4', grokCriteriaRaw, grokAudienceRaw });
-    updateProject({ currentStep: 'step_4' });
-    emit('step_done', { step: 'step_4', data: { grokAudienceRaw } });
+    await saveMeta({ currentStep: 'step_4', grokCriteriaRaw, grokAudienceRaw, audienceTable });
+    await updateProject({ currentStep: 'step_4' });
+    emit('step_done', { step: 'step_4', data: { grokAudienceRaw, audienceTable } });
   }
 
   // === STEP DESIGN: BM25 design system or manual style selection ===
   if (startIdx <= 3) {
-    emit('step_start', { step: 'step_design', label: 'Дизайн-система' });
+    startStep('step_design', 'Дизайн-система');
 
     const designStyle = project.design_style || 'auto';
 
@@ -529,8 +941,8 @@ ${chosen['Effects & Animation'] || '- Subtle hover transitions (150-300ms)'}
       }
 
       if (designSystemRaw) {
-        saveMeta({ currentStep: 'step_design', designSystemRaw });
-        updateProject({ currentStep: 'step_design' });
+        await saveMeta({ currentStep: 'step_design', designSystemRaw });
+        await updateProject({ currentStep: 'step_design' });
         emit('step_done', { step: 'step_design', data: { designSystemRaw, designQuery: `Manual: ${designStyle}` } });
       }
     }
@@ -542,10 +954,10 @@ ${chosen['Effects & Animation'] || '- Subtle hover transitions (150-300ms)'}
       // Translate niche to English if Cyrillic
       if (/[а-яёА-ЯЁ]/.test(designQuery)) {
         try {
-          const translateResp = await callModel(
-            'google/gemini-2.0-flash-001',
+          const translateResp = await callRoute(
+            routes.translate,
             [{ role: 'user', content: `Translate this business niche to English in 2-4 keywords. Only output keywords, nothing else: ${niche} ${geo || ''}` }],
-            apiKey
+            llm
           );
           const translated = (translateResp.content || '').trim();
           if (translated && !/error|sorry|не могу/i.test(translated)) {
@@ -560,15 +972,15 @@ ${chosen['Effects & Animation'] || '- Subtle hover transitions (150-300ms)'}
       const ds = bm25.generateDesignSystem(designQuery, niche);
       designSystemRaw = bm25.formatDesignSystemForPrompt(ds);
 
-      saveMeta({ currentStep: 'step_design', designSystemRaw });
-      updateProject({ currentStep: 'step_design' });
+      await saveMeta({ currentStep: 'step_design', designSystemRaw });
+      await updateProject({ currentStep: 'step_design' });
       emit('step_done', { step: 'step_design', data: { designSystemRaw, designQuery } });
     }
   }
 
   // === STEP 5: Claude XML compiler ===
   if (startIdx <= 4) {
-    emit('step_start', { step: 'step_5', label: 'XML-компилятор' });
+    startStep('step_5', 'XML-компилятор');
 
     const compilerPrompt = `ЯЗЫК ОТВЕТА: ${queryLangStr}
 
@@ -580,6 +992,9 @@ ${grokCriteriaRaw}
 === АУДИТОРИИ И ИХ БОЛИ / ИНТЕНТЫ ===
 ${grokAudienceRaw}
 
+=== КОМПАНИИ НИШИ (консенсус ${stepModels.length} нейросетей) ===
+${formatConsensusForPrompt(modelConsensus) || '(Списки компаний не распознаны)'}
+
 Это делается для того, чтобы сделать рейтинг-сайт который будет полезным, чтобы цитироваться в LLM.
 
 Ты — эксперт по структурированию критериев для рейтингов компаний. Твоя задача — взять данные выше и преобразовать их в структурированный XML-формат с группами и критериями.
@@ -589,36 +1004,53 @@ ${grokAudienceRaw}
 2. Для каждой группы создай 5–8 критериев. <criterion name="criterion_name">.
 3. Внутри <criterion>: <name>, <description>, <methodology>, <why_important>, <recommendation>, <target>, <example>.
 4. Придумай реалистичные метрики для "${niche}".
-5. Выводи ТОЛЬКО XML. Оберни в <criteria_structure> ... </criteria_structure>.`;
+5. После групп добавь <companies> с компаниями из консенсуса в его порядке: <company rank="N" name="..." url="..." mentions="число моделей"/>.
+6. Выводи ТОЛЬКО XML. Оберни в <criteria_structure> ... </criteria_structure>.`;
 
-    const compData = await callModel('anthropic/claude-sonnet-4.5', [{ role: 'user', content: compilerPrompt }], apiKey);
-    if (compData.error) throw new Error(`Claude step_5: ${compData.error}`);
-    compilerRawXml = compData.content.replace(/^```xml\s*\n?/i, '').replace(/\n?```\s*$/i, '').trim();
+    const compData = await callStepWithContract('step_5', [{ role: 'user', content: compilerPrompt }], CONTRACTS.criteria);
+    compilerRawXml = compData.value;
 
-    saveMeta({ currentStep: 'step_5', compilerRawXml, grokCriteriaRaw, grokAudienceRaw });
-    updateProject({ currentStep: 'step_5' });
+    await saveMeta({ currentStep: 'step_5', compilerRawXml, grokCriteriaRaw, grokAudienceRaw });
+    await updateProject({ currentStep: 'step_5' });
     emit('step_done', { step: 'step_5', data: { compilerRawXml } });
   }
 
   // === STEP 6: Claude HTML generation ===
   if (startIdx <= 5) {
-    emit('step_start', { step: 'step_6', label: 'Генерация сайта' });
-
-    const sitePrompt = buildSitePrompt(niche, geo, site_lang, compilerRawXml, designSystemRaw);
-    const siteData = await callModel('anthropic/claude-sonnet-4.5', [{ role: 'user', content: sitePrompt }], apiKey);
-    if (siteData.error) throw new Error(`Claude step_6: ${siteData.error}`);
+    startStep('step_6', 'Генерация сайта');
+
+    let siteSections = null;
+    if (sectionsMode) {
+      // Shell with the design system first, then every section on its own
+      const companies = rankCompanies(modelConsensus.length ? modelConsensus : xmlCompanies(compilerRawXml));
+      const plan = planSections(companies);
+      emit('step_progress', { step: 'step_6', message: `Каркас страницы (секций: ${plan.length})` });
+      const shellPrompt = buildShellPrompt({
+        niche, geo, siteLang: site_lang, designSystemRaw, defaultDesignSystem: bm25.DEFAULT_DESIGN_SYSTEM, compilerRawXml, plan,
+      });
+      const { value: shell } = await callStepWithContract('step_6', [{ role: 'user', content: shellPrompt }], CONTRACTS.shell);
+
+      const styles = pageStyles(shell);
+      const results = await eachSection('step_6', plan, section => generateSection(section, companies, styles));
+      canvasRawHtml = setItemList(assemblePage(shell, results), companies);
+      siteSections = { stage: 'step_6', updatedAt: new Date().toISOString(), companies, sections: mergeSectionResults(plan, results, 'step_6') };
+    } else {
+      const sitePrompt = buildSitePrompt(niche, geo, site_lang, compilerRawXml, designSystemRaw, formatConsensusForPrompt(modelConsensus));
+      canvasRawHtml = await callStepForPage('step_6', [{ role: 'user', content: sitePrompt }]);
+    }
 
-    canvasRawHtml = siteData.content.replace(/^```html?\s*\n?/i, '').replace(/\n?```\s*$/i, '').trim();
+    // A new template makes the filled page's report stale
+    const consistency = { step_6: checkConsistency(canvasRawHtml, { step: 'step_6' }) };
 
-    writeProjectHtml(projectId, canvasRawHtml);
-    saveMeta({ currentStep: 'step_6', compilerRawXml, grokCriteriaRaw, grokAudienceRaw, canvasRawHtml: '' });
-    updateProject({ currentStep: 'step_6', status: 'generated' });
-    emit('step_done', { step: 'step_6' });
+    await saveHtml(canvasRawHtml, 'step_6');
+    await saveMeta({ currentStep: 'step_6', compilerRawXml, grokCriteriaRaw, grokAudienceRaw, canvasRawHtml: '', consistency, siteSections });
+    await updateProject({ currentStep: 'step_6', status: 'generated' });
+    emit('step_done', { step: 'step_6', data: { consistency, siteSections } });
   }
 
   // === STEP 7: Perplexity ratings search ===
   if (startIdx <= 6) {
-    emit('step_start', { step: 'step_7', label: 'Поиск рейтингов' });
+    startStep('step_7', 'Поиск рейтингов');
 
     const perplexityPrompt = `${geoRequestStr ? 'КОНТЕКСТ ЛОКАЦИИ: ' + geoRequestStr + '\n' : ''}ЯЗЫК ОТВЕТА: ${queryLangStr}
 
@@ -633,16 +1065,12 @@ ${grokAudienceRaw}
 ВАЖНО: Верни ТОЛЬКО JSON-массив. Без markdown, без бэктиков.
 [{"name": "Название", "url": "https://..."}]`;
 
-    const perplexityData = await callModel('perplexity/sonar-pro', [{ role: 'user', content: perplexityPrompt }], apiKey);
-    if (perplexityData.error) throw new Error(`Perplexity step_7: ${perplexityData.error}`);
-
-    let jsonStr = perplexityData.content.replace(/^```json?\s*\n?/i, '').replace(/\n?```\s*$/i, '').trim();
-    const jsonMatch = jsonStr.match(/\[[\s\S]*\]/);
-    if (jsonMatch) jsonStr = jsonMatch[0];
-
-    const ratings = JSON.parse(jsonStr);
-    const seenUrls = new Set();
-    extractedRatings = ratings.filter(r => {
+    const { value: ratings } = await callStepWithContract('step_7', [{ role: 'user', content: perplexityPrompt }], CONTRACTS.ratings);
+    // Sources added by hand (manual URL, pasted text, uploaded file) survive a new search
+    const manualRatings = extractedRatings.filter(r => r.source);
+    const seenUrls = new Set(manualRatings.map(r => { try { return new URL(r.url).hostname; } catch { return null; } }));
+    const takenNames = new Set(manualRatings.map(r => r.name));
+    extractedRatings = manualRatings.concat(ratings.filter(r => {
       if (!r.url) return false;
       try {
         const domain = new URL(r.url).hostname;
@@ -650,27 +1078,40 @@ ${grokAudienceRaw}
         seenUrls.add(domain);
         return true;
       } catch { return false; }
-    }).map(r => ({ name: r.name, url: r.url, status: 'pending' }));
+    }).filter(r => !takenNames.has(r.name)).map(r => ({ name: r.name, url: r.url, status: 'pending' })));
 
-    saveMeta({ extractedRatings });
-    updateProject({ currentStep: 'step_7' });
+    await saveMeta({ extractedRatings });
+    await updateProject({ currentStep: 'step_7' });
     emit('step_done', { step: 'step_7', data: { extractedRatings } });
 
     // === STEP 8: Download rating sites ===
-    emit('step_start', { step: 'step_8_web', label: 'Скачивание рейтингов' });
+    startStep('step_8_web', 'Скачивание рейтингов');
 
-    const rQueue = [...extractedRatings.keys()];
+    const fetchOptions = renderOptions(project);
+    if (fetchOptions.renderMode !== 'never' && !fetchOptions.browser.available) {
+      emit('step_progress', { step: 'step_8_web', message: `Браузер для JS-страниц недоступен: ${fetchOptions.browser.reason}` });
+    }
+
+    // Pasted text and uploaded files have nothing to download
+    const rQueue = [...extractedRatings.keys()].filter(idx => !['text', 'file'].includes(extractedRatings[idx].source));
     async function processQueue() {
-      while (rQueue.length > 0) {
+      while (rQueue.length > 0 && !signal.aborted) {
         const idx = rQueue.shift();
         const rating = extractedRatings[idx];
         rating.status = 'loading';
         emit('step_progress', { step: 'step_8_web', message: `Загрузка: ${rating.name}` });
 
-        const result = await downloadSite(rating.url);
+        const result = await fetchRating(rating.url, {
+          ...fetchOptions,
+          signal,
+          onProgress: (message) => emit('step_progress', { step: 'step_8_web', message: `${message}: ${rating.name}` }),
+        });
+        if (result.stopped) return;
         if (result.ok) {
           downloadedRatings[rating.name] = { html: result.html, text: result.text };
           rating.status = 'done';
+          rating.fetchMethod = result.fetchMethod;
+          delete rating.errorReason;
         } else {
           rating.status = 'error';
           rating.errorReason = result.error;
@@ -684,53 +1125,265 @@ ${grokAudienceRaw}
     );
     await Promise.all(workers);
 
-    saveMeta({ currentStep: 'step_8_web', extractedRatings, downloadedRatings });
-    updateProject({ currentStep: 'step_8_web' });
+    await saveMeta({ currentStep: 'step_8_web', extractedRatings, downloadedRatings });
+    await updateProject({ currentStep: 'step_8_web' });
     emit('step_done', { step: 'step_8_web', data: { extractedRatings } });
   }
 
-  // === STEP FILL: Auto-fill template with real data ===
+  // === STEP 8b: Structured company lists from each rating page, merged into a consensus rank ===
   if (startIdx <= 8) {
-    emit('step_start', { step: 'step_fill', label: 'Наполнение контентом' });
+    startStep('step_8_extract', 'Извлечение компаний');
 
-    if (!canvasRawHtml) canvasRawHtml = readProjectHtml(projectId);
+    const sources = extractedRatings.filter(r => r.status === 'done' && !r.excluded && downloadedRatings[r.name]);
+    companyExtractions = {};
+
+    const eQueue = [...sources];
+    async function extractQueue() {
+      while (eQueue.length > 0 && !signal.aborted) {
+        const rating = eQueue.shift();
+        emit('step_progress', { step: 'step_8_extract', message: `Извлечение: ${rating.name}` });
+
+        // One unreadable page must not fail the step — it just drops out of the consensus
+        try {
+          // Pasted text is stored without HTML
+          const { html, text: pastedText } = downloadedRatings[rating.name];
+          const text = html ? extractText(html, { limit: 30000, pageUrl: rating.url }) : pastedText.substring(0, 30000);
+          const prompt = buildExtractionPrompt({ niche, rating, text });
+          const data = await callRoute(routes.step_8_extract, [{ role: 'user', content: prompt }], llm);
+          if (data.error) throw new Error(data.error);
+          const companies = parseExtraction(data.content);
+          companyExtractions[rating.name] = { url: rating.url, status: 'done', companies };
+        } catch (err) {
+          if (signal.aborted) return;
+          console.warn(`[step_8_extract] ${rating.name}: ${err.message}`);
+          companyExtractions[rating.name] = { url: rating.url, status: 'error', companies: [], error: err.message };
+        }
+      }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(3, sources.length) }, () => extractQueue()));
+
+    consensusRanking = mergeCompanyLists(sources.map(rating => ({
+      source: rating,
+      companies: companyExtractions[rating.name]?.companies,
+    })));
+
+    await saveMeta({ currentStep: 'step_8_extract', companyExtractions, consensusRanking });
+    await updateProject({ currentStep: 'step_8_extract' });
+    emit('step_done', { step: 'step_8_extract', data: { companyExtractions, consensusRanking } });
+  }
+
+  // === STEP FILL: Auto-fill template with real data ===
+  if (startIdx <= 9) {
+    startStep('step_fill', 'Наполнение контентом');
+
+    if (!canvasRawHtml) canvasRawHtml = await storage.getHtml(projectId);
     if (!canvasRawHtml) throw new Error('Нет HTML-шаблона');
 
     const userCompanyData = project.injection_info || '';
+    const { citationSources, ratingDataBlocks } = ratingSources(extractedRatings, downloadedRatings);
+
+    let filledHtml;
+    let siteSections = null;
+    if (sectionsMode && meta.siteSections?.sections?.length) {
+      // Each section filled on its own; the JSON-LD list follows the final order
+      const plan = meta.siteSections;
+      const context = sectionFillContext(ratingDataBlocks);
+      const sections = plan.sections.filter(s => !(s.status === 'error' && s.step === 'step_6'));
+      const results = await eachSection('step_fill', sections, s => fillSection(s, canvasRawHtml, context));
+      filledHtml = setItemList(applySections(canvasRawHtml, results), context.companies);
+      siteSections = {
+        ...plan, stage: 'step_fill', updatedAt: new Date().toISOString(), companies: context.companies,
+        sections: mergeSectionResults(plan.sections, results, 'step_fill'),
+      };
+    } else {
+      const { prompt: fillPrompt, savedSeoBlock, savedCountersBlock } =
+        buildFillPrompt(canvasRawHtml, ratingDataBlocks, userCompanyData, compilerRawXml, site_lang, formatConsensusForPrompt(consensusRanking));
+
+      filledHtml = await callStepForPage('step_fill', [{ role: 'user', content: fillPrompt }]);
+      filledHtml = restoreProtectedBlocks(filledHtml, savedSeoBlock, savedCountersBlock);
+    }
 
-    // Build ratings data blocks
-    const MAX_RATINGS_CHARS = 60000;
-    let ratingsChars = 0;
-    const ratingDataBlocks = extractedRatings
-      .filter(r => r.status === 'done' && downloadedRatings[r.name])
-      .map(r => {
-        const text = downloadedRatings[r.name].text.substring(0, 8000);
-        ratingsChars += text.length;
-        if (ratingsChars > MAX_RATINGS_CHARS) return null;
-        return `=== ${r.name} (${r.url}) ===\n${text}`;
-      })
-      .filter(Boolean)
-      .join('\n\n---\n\n');
-
-    const { prompt: fillPrompt, savedSeoBlock, savedCountersBlock } =
-      buildFillPrompt(canvasRawHtml, ratingDataBlocks, userCompanyData, compilerRawXml, site_lang);
-
-    const fillData = await callModel('anthropic/claude-sonnet-4.5', [{ role: 'user', content: fillPrompt }], apiKey);
-    if (fillData.error) throw new Error(`Claude step_fill: ${fillData.error}`);
-
-    let filledHtml = fillData.content.replace(/^```html?\s*\n?/i, '').replace(/\n?```\s*$/i, '').trim();
-    filledHtml = restoreProtectedBlocks(filledHtml, savedSeoBlock, savedCountersBlock);
-
-    canvasRawHtml = filledHtml;
-    writeProjectHtml(projectId, filledHtml);
-    saveMeta({ currentStep: 'step_fill' });
-    updateProject({ currentStep: 'step_fill', status: 'filled' });
-    emit('step_done', { step: 'step_fill' });
+    const { html, citations, consistency } = finishFilledPage(filledHtml, citationSources);
+    canvasRawHtml = html;
+    await saveHtml(html, 'step_fill');
+    await saveMeta({ currentStep: 'step_fill', citations, consistency, siteSections });
+    await updateProject({ currentStep: 'step_fill', status: 'filled' });
+    emit('step_done', { step: 'step_fill', data: { citations, consistency, siteSections } });
+  }
+
+  // === STEP VERIFY: Check every company site linked from the final page ===
+  if (startIdx <= 10) {
+    startStep('step_verify', 'Проверка сайтов компаний');
+
+    if (!canvasRawHtml) canvasRawHtml = await storage.getHtml(projectId);
+    if (!canvasRawHtml) throw new Error('Нет HTML сайта');
+
+    const links = collectCompanyLinks(canvasRawHtml);
+    // Domains some source actually named — anything else on the page came from the model alone
+    const knownHosts = new Set([...modelConsensus, ...consensusRanking].map(c => hostOf(c.url)).filter(Boolean));
+
+    const checked = [];
+    const vQueue = [...links];
+    async function verifyQueue() {
+      while (vQueue.length > 0 && !signal.aborted) {
+        const link = vQueue.shift();
+        emit('step_progress', { step: 'step_verify', message: `Проверка: ${link.name}` });
+
+        const host = link.url ? hostOf(link.url) : null;
+        const entry = { ...link, host, sourced: knownHosts.has(host), verdict: precheck(link.url) };
+        if (!entry.verdict) {
+          const result = await downloadSite(link.url, signal);
+          if (result.stopped) return;
+          entry.verdict = verdictOf(result, { sourced: entry.sourced });
+          entry.status = result.status || null;
+          if (result.error) entry.error = result.error;
+          if (result.finalUrl && hostOf(result.finalUrl) !== host) entry.redirectedTo = result.finalUrl;
+          if (result.html) Object.assign(entry, pageFacts(result.html));
+        }
+        checked.push(entry);
+      }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(5, links.length) }, () => verifyQueue()));
+
+    const companies = checked.sort((a, b) => a.rank - b.rank);
+    const siteVerification = {
+      checkedAt: new Date().toISOString(),
+      companies,
+      flagged: companies.filter(c => FLAGGED.includes(c.verdict)).length,
+    };
+
+    await saveMeta({ currentStep: 'step_verify', siteVerification });
+    await updateProject({ currentStep: 'step_verify' });
+    emit('step_done', { step: 'step_verify', data: { siteVerification } });
   }
 }
 
-function stopPipeline() {
-  currentRun = null;
+/**
+ * Step to resume from: the one after the last step saved in meta.
+ * Returns null when the last step already completed.
+ */
+async function getResumeStep(projectId) {
+  const { currentStep } = await storage.getMeta(projectId);
+  if (!currentStep) return PIPELINE_STEPS[0].id;
+  const idx = PIPELINE_STEPS.findIndex(s => s.id === currentStep);
+  if (idx < 0) return PIPELINE_STEPS[0].id;
+  return PIPELINE_STEPS[idx + 1]?.id || null;
+}
+
+// ============ FORKS ============
+
+// Meta each step writes: a fork keeps the outputs of the steps before the one it starts from
+const STEP_OUTPUTS = {
+  step_1_2: ['conversations', 'models', 'modelConsensus'],
+  step_3: ['grokCriteriaRaw'],
+  step_4: ['grokAudienceRaw', 'audienceTable'],
+  step_design: ['designSystemRaw'],
+  step_5: ['compilerRawXml'],
+  step_6: ['canvasRawHtml', 'siteSections'],
+  step_7: ['extractedRatings'],
+  step_8_web: ['downloadedRatings'],
+  step_8_extract: ['companyExtractions', 'consensusRanking'],
+  step_fill: ['citations'],
+  step_verify: ['siteVerification'],
+};
+
+// step_8_web runs inside step_7's block, a run cannot start at it
+const FORK_STEPS = PIPELINE_STEPS.map(s => s.id).filter(id => id !== 'step_8_web');
+
+// Newest template in the page versions (newest first): a step_6 run, or a section retry at that stage —
+// a `sections` version whose nearest older pipeline version is step_6 rather than step_fill
+function findTemplateVersion(versions) {
+  return versions.find((v, i) => {
+    if (v.source === 'step_6') return true;
+    if (v.source !== 'sections') return false;
+    return versions.slice(i + 1).find(older => ['step_6', 'step_fill'].includes(older.source))?.source === 'step_6';
+  }) || null;
+}
+
+/**
+ * State a project forked at `step` starts with: { meta, html }, or { error } when the fork cannot be made.
+ * meta — the parent's step outputs before `step`, currentStep the last of them. Sources added by hand
+ *   are inputs rather than outputs and are always kept, with their pages. Usage stays with the parent.
+ * html — after step_6 the generated template (from the page versions, versions.js), after step_fill the page
+ *   as it is now; '' when the fork regenerates the page. A template missing from the history (pruned, or
+ *   saved before there was one) is an error: the current page may be filled already.
+ */
+async function forkState(projectId, step) {
+  const kept = PIPELINE_STEPS.slice(0, PIPELINE_STEPS.findIndex(s => s.id === step)).map(s => s.id);
+  const parent = await storage.getMeta(projectId);
+
+  const meta = {};
+  for (const id of kept) {
+    for (const field of STEP_OUTPUTS[id]) {
+      if (parent[field] !== undefined) meta[field] = parent[field];
+    }
+  }
+  const consistency = Object.fromEntries(['step_6', 'step_fill']
+    .filter(id => kept.includes(id) && parent.consistency?.[id])
+    .map(id => [id, parent.consistency[id]]));
+  if (Object.keys(consistency).length) meta.consistency = consistency;
+  if (!kept.includes('step_7')) {
+    const manual = (parent.extractedRatings || []).filter(r => r.source);
+    if (manual.length) {
+      meta.extractedRatings = manual;
+      meta.downloadedRatings = Object.fromEntries(manual
+        .filter(r => parent.downloadedRatings?.[r.name])
+        .map(r => [r.name, parent.downloadedRatings[r.name]]));
+    }
+  }
+  if (kept.length) meta.currentStep = kept[kept.length - 1];
+
+  let html = '';
+  if (kept.includes('step_fill')) {
+    html = await storage.getHtml(projectId);
+  } else if (kept.includes('step_6')) {
+    const template = findTemplateVersion(await storage.listVersions(projectId));
+    html = template && (await storage.getVersion(projectId, template.version))?.html;
+    if (!html) return { error: 'Шаблон страницы (step_6) не найден в истории версий — форк с этого шага невозможен' };
+
+    // The child fills the template: its sections are back at the template stage
+    if (meta.siteSections?.stage === 'step_fill') {
+      meta.siteSections = {
+        ...meta.siteSections,
+        stage: 'step_6',
+        sections: meta.siteSections.sections.map((section) => {
+          if (section.step !== 'step_fill') return section;
+          const { error, ...template } = section;
+          return { ...template, status: 'done', step: 'step_6' };
+        }),
+      };
+    }
+  }
+  return { meta, html };
+}
+
+/**
+ * Outputs of every step of a project's run, with its consistency reports and currentStep — what the main
+ * project takes over when this variant is promoted. Fields the variant never wrote are undefined,
+ * so assigning the state clears them instead of leaving the main project's older ones.
+ */
+async function variantState(projectId) {
+  const source = await storage.getMeta(projectId);
+  const state = {};
+  for (const field of [...Object.values(STEP_OUTPUTS).flat(), 'consistency', 'currentStep']) state[field] = source[field];
+  return state;
+}
+
+/**
+ * Abort the run of one project: in-flight model calls and downloads are cancelled,
+ * remaining steps are skipped. With `discard` (project deleted) nothing is written back.
+ */
+function stopPipeline(projectId, { discard = false } = {}) {
+  const run = activeRuns.get(projectId);
+  if (!run) return false;
+  run.discard = run.discard || discard;
+  run.controller.abort();
+  return true;
 }
 
-module.exports = { runPipeline, stopPipeline, PIPELINE_STEPS, MODELS };
+module.exports = {
+  runPipeline, stopPipeline, getResumeStep, forkState, variantState, callModel, callRoute, fetchRating, renderOptions,
+  PIPELINE_STEPS, FORK_STEPS, RENDER_MODES,
+};
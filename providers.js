@@ -0,0 +1,218 @@
+/**
+ * LLM provider layer.
+ * Every provider exposes chat({ model, messages, apiKey, signal, params, onDelta? }) → { content, usage?, finishReason? } | { error },
+ * the contract callModel has always returned plus the token usage and finish reason ("length" = cut) the API reported.
+ * With `onDelta` the answer is streamed (`stream: true`): onDelta(text) gets every piece as it arrives,
+ * the result is still the whole answer.
+ *
+ *   openrouter — https://openrouter.ai (default)
+ *   openai     — any OpenAI-compatible /chat/completions endpoint (llama.cpp, vLLM, ...)
+ *   replay     — deterministic fixtures from disk, no network and no cost
+ *
+ * Selected per project (`llm_provider`, `llm_base_url`) or via LLM_PROVIDER / LLM_BASE_URL.
+ * A provider carries the `baseUrl` its requests go to: API keys are bound to it (vault.js), and LLM_API_KEY
+ * is only sent to LLM_BASE_URL — never to a base URL set on a project.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PROVIDERS = ['openrouter', 'openai', 'replay'];
+
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'replay');
+
+// ============ OPENAI-COMPATIBLE HTTP ============
+
+/** Base URL in the form keys are bound to: trimmed, without trailing slashes */
+function normalizeBaseUrl(url) {
+  return String(url || '').trim().replace(/\/+$/, '');
+}
+
+// Only the generation parameters that are actually set go into the request body
+function generationParams({ temperature, max_tokens }) {
+  const body = {};
+  if (typeof temperature === 'number') body.temperature = temperature;
+  if (Number.isInteger(max_tokens)) body.max_tokens = max_tokens;
+  return body;
+}
+
+// Streamed completion: `data:` lines of chunks until [DONE]. Usage and finish reason come with the last chunks.
+async function readStream(response, model, onDelta) {
+  const decoder = new TextDecoder();
+  const result = { content: '', usage: null, servedModel: model, finishReason: null };
+  let buffer = '';
+  let error = null;
+
+  function readLine(line) {
+    const payload = line.match(/^data:\s*(.*)$/)?.[1].trim();
+    if (!payload || payload === '[DONE]') return;
+    let chunk;
+    try { chunk = JSON.parse(payload); } catch { return; }
+    // OpenRouter reports a failure that happens mid-answer as a chunk with `error`
+    if (chunk.error) {
+      error = `Ошибка API: ${chunk.error.message || JSON.stringify(chunk.error)}`;
+      return;
+    }
+    const choice = chunk.choices?.[0];
+    const text = choice?.delta?.content;
+    if (text) {
+      result.content += text;
+      onDelta(text);
+    }
+    if (choice?.finish_reason) result.finishReason = choice.finish_reason;
+    if (chunk.usage) result.usage = chunk.usage;
+    if (chunk.model) result.servedModel = chunk.model;
+  }
+
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(readLine);
+    if (error) return { error };
+  }
+  readLine(buffer + decoder.decode());
+  if (error) return { error };
+  return { ...result, content: result.content || 'Пустой ответ' };
+}
+
+// `extraBody` is merged into every request (OpenRouter needs usage.include to report cost)
+function chatCompletions(baseUrl, defaultKey = '', extraBody = {}) {
+  const url = `${normalizeBaseUrl(baseUrl)}/chat/completions`;
+
+  return async ({ model, messages, apiKey, signal, params = {}, onDelta }) => {
+    const key = apiKey || defaultKey;
+    const headers = { 'Content-Type': 'application/json' };
+    if (key) headers['Authorization'] = `Bearer ${key}`;
+    const stream = onDelta ? { stream: true, stream_options: { include_usage: true } } : {};
+
+    const response = await fetch(url, {
+      method: 'POST',
+      signal,
+      headers,
+      body: JSON.stringify({ model, messages, ...generationParams(params), ...stream, ...extraBody }),
+    });
+
+    if (!response.ok) {
+      const err = await response.text();
+      return { error: `Ошибка API: ${response.status} — ${err}` };
+    }
+    if (onDelta) return readStream(response, model, onDelta);
+
+    const data = await response.json();
+    const choice = data.choices?.[0];
+    const content = choice?.message?.content || 'Пустой ответ';
+    return { content, usage: data.usage || null, servedModel: data.model || model, finishReason: choice?.finish_reason || null };
+  };
+}
+
+// ============ FIXTURE REPLAY ============
+
+/** Stable key of a request: same model + messages → same fixture file */
+function fixtureKey(model, messages) {
+  return crypto.createHash('sha256').update(JSON.stringify({ model, messages })).digest('hex').substring(0, 16);
+}
+
+/**
+ * Replay lookup order:
+ *   1. <dir>/<fixtureKey>.json — an exact recorded response ({ model, messages, content })
+ *   2. <dir>/index.json rules — [{ match: "regex on the last user message", model?, file, finish_reason? }]
+ * finish_reason "length" replays an answer cut at the output limit.
+ */
+function createReplayProvider(dir) {
+  let rules = null;
+
+  function loadRules() {
+    if (rules) return rules;
+    try {
+      rules = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8'))
+        .map(r => ({ ...r, re: new RegExp(r.match, 'i') }));
+    } catch { rules = []; }
+    return rules;
+  }
+
+  function lookup(model, messages) {
+    const key = fixtureKey(model, messages);
+    try {
+      const recorded = JSON.parse(fs.readFileSync(path.join(dir, `${key}.json`), 'utf8'));
+      return { content: recorded.content, finishReason: recorded.finishReason || null };
+    } catch {}
+
+    const lastUser = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    const rule = loadRules().find(r => (!r.model || r.model === model) && r.re.test(lastUser));
+    if (!rule) return { error: `Replay: нет фикстуры для ${model} (ключ ${key})` };
+
+    return { content: fs.readFileSync(path.join(dir, rule.file), 'utf8'), finishReason: rule.finish_reason || null };
+  }
+
+  return {
+    name: 'replay',
+    needsKey: false,
+    async chat({ model, messages, signal, onDelta }) {
+      signal?.throwIfAborted();
+      const result = lookup(model, messages);
+      // A streamed replay hands the whole fixture over as one piece
+      if (onDelta && !result.error) onDelta(result.content);
+      return result;
+    },
+  };
+}
+
+/** Wrap a provider so every successful response is saved as an exact replay fixture */
+function withRecording(provider, dir) {
+  return {
+    ...provider,
+    async chat(req) {
+      const result = await provider.chat(req);
+      if (!result.error) {
+        fs.mkdirSync(dir, { recursive: true });
+        const file = path.join(dir, `${fixtureKey(req.model, req.messages)}.json`);
+        fs.writeFileSync(file, JSON.stringify({ model: req.model, messages: req.messages, content: result.content, finishReason: result.finishReason }, null, 2));
+      }
+      return result;
+    },
+  };
+}
+
+// ============ RESOLUTION ============
+
+/**
+ * Provider for a project: project fields win over env, OpenRouter is the default.
+ * Throws on an unknown provider or a missing base URL.
+ */
+function resolveProvider(project = {}) {
+  const type = project.llm_provider || process.env.LLM_PROVIDER || 'openrouter';
+  let provider;
+
+  switch (type) {
+    case 'openrouter':
+      provider = {
+        name: 'openrouter',
+        needsKey: true,
+        baseUrl: OPENROUTER_BASE_URL,
+        chat: chatCompletions(OPENROUTER_BASE_URL, '', { usage: { include: true } }),
+      };
+      break;
+    case 'openai': {
+      const baseUrl = normalizeBaseUrl(project.llm_base_url || process.env.LLM_BASE_URL);
+      if (!baseUrl) throw new Error('Для провайдера openai нужен base URL (llm_base_url или LLM_BASE_URL)');
+      const envKey = baseUrl === normalizeBaseUrl(process.env.LLM_BASE_URL) ? process.env.LLM_API_KEY : '';
+      provider = { name: 'openai', needsKey: false, baseUrl, chat: chatCompletions(baseUrl, envKey) };
+      break;
+    }
+    case 'replay':
+      provider = createReplayProvider(process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+      break;
+    default:
+      throw new Error(`Неизвестный LLM-провайдер: ${type}`);
+  }
+
+  if (process.env.LLM_RECORD_DIR && provider.name !== 'replay') {
+    provider = withRecording(provider, process.env.LLM_RECORD_DIR);
+  }
+  return provider;
+}
+
+module.exports = { PROVIDERS, resolveProvider, normalizeBaseUrl, fixtureKey };
@@ -0,0 +1,244 @@
+/**
+ * HTML → readable text for prompts.
+ * Parses the page into a DOM (htmlparser2 — entities and numeric references come out decoded),
+ * drops boilerplate (menus, cookie banners, sidebars, footers), picks the main content block
+ * with readability-style scoring and renders it as markdown-ish text:
+ * headings as #, list items as - / 1., table rows as | a | b |.
+ * Also decodes response bytes in the page's charset (windows-1251 is still common on Russian sites).
+ * fragmentText() gives the plain text of a piece of markup (a company card, a cited fact) the same way.
+ */
+
+const { parseDocument } = require('htmlparser2');
+
+// Never content
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'svg', 'iframe', 'template', 'canvas', 'form', 'button', 'select', 'input', 'textarea', 'head']);
+// Page chrome — dropped outside <article>/<main> (an article's own <header> holds its title)
+const CHROME_TAGS = new Set(['nav', 'footer', 'aside', 'header']);
+// Class/id names of boilerplate; "card-header" and "card-footer" of company cards are content
+const UNLIKELY = /cookie|consent|gdpr|banner|popup|modal|overlay|subscribe|newsletter|menu|navbar|breadcrumb|sidebar|(^|\s)((site|page|main)[-_])?(header|footer)(\s|$)|share|social|comment|advert|related|sponsor|pagination/i;
+const LIKELY = /article|content|main|post|entry|body|rating|review|company/i;
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'main', 'ul', 'ol', 'li', 'table', 'tr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'dl', 'dt', 'dd', 'figure', 'figcaption', 'header', 'footer', 'nav', 'aside', 'br', 'hr']);
+
+// ============ CHARSET ============
+
+function normalizeCharset(label) {
+  const value = (label || '').trim().toLowerCase().replace(/^["']|["']$/g, '');
+  if (!value) return null;
+  if (['cp1251', 'win-1251', 'windows1251'].includes(value)) return 'windows-1251';
+  try { return new TextDecoder(value).encoding; }
+  catch { return null; }
+}
+
+/**
+ * Response bytes → string. Charset from Content-Type, then <meta charset> / http-equiv in the first 4 KB,
+ * UTF-8 otherwise. A page that claims nothing and is not valid UTF-8 is read as windows-1251.
+ */
+function decodeHtml(buffer, contentType = '') {
+  const bytes = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return new TextDecoder('utf-8').decode(bytes);
+
+  const head = bytes.subarray(0, 4096).toString('latin1');
+  const declared = normalizeCharset(contentType.match(/charset=([^;]+)/i)?.[1])
+    || normalizeCharset(head.match(/<meta[^>]+charset\s*=\s*["']?([\w-]+)/i)?.[1]);
+  if (declared) return new TextDecoder(declared).decode(bytes);
+
+  try { return new TextDecoder('utf-8', { fatal: true }).decode(bytes); }
+  catch { return new TextDecoder('windows-1251').decode(bytes); }
+}
+
+// ============ DOM HELPERS ============
+
+const isTag = (node) => node.type === 'tag' || node.type === 'script' || node.type === 'style';
+
+function attrs(node) {
+  return `${node.attribs?.class || ''} ${node.attribs?.id || ''}`;
+}
+
+function textOf(node) {
+  if (node.type === 'text') return node.data;
+  if (!isTag(node) || SKIP_TAGS.has(node.name)) return '';
+  return (node.children || []).map(textOf).join(' ');
+}
+
+/** Text and link-text lengths of every element, in one pass (scoring asks for them per candidate) */
+function measure(node, sizes, inLink = false) {
+  if (node.type === 'text') {
+    const length = node.data.replace(/\s+/g, ' ').trim().length;
+    return { text: length, link: inLink ? length : 0 };
+  }
+  if (!isTag(node) || SKIP_TAGS.has(node.name)) return { text: 0, link: 0 };
+  const size = { text: 0, link: 0 };
+  for (const child of node.children || []) {
+    const s = measure(child, sizes, inLink || node.name === 'a');
+    size.text += s.text;
+    size.link += s.link;
+  }
+  sizes.set(node, size);
+  return size;
+}
+
+function findAll(node, test, found = []) {
+  for (const child of node.children || []) {
+    if (!isTag(child)) continue;
+    if (test(child)) found.push(child);
+    findAll(child, test, found);
+  }
+  return found;
+}
+
+function insideArticle(node) {
+  for (let n = node.parent; n; n = n.parent) if (n.name === 'article' || n.name === 'main') return true;
+  return false;
+}
+
+function removeNode(node) {
+  const siblings = node.parent?.children;
+  if (siblings) siblings.splice(siblings.indexOf(node), 1);
+}
+
+/** Boilerplate out: non-content tags, page chrome, elements hidden or named like menus and banners */
+function stripBoilerplate(root) {
+  const doomed = findAll(root, (el) => {
+    if (SKIP_TAGS.has(el.name)) return true;
+    if (CHROME_TAGS.has(el.name)) return !insideArticle(el);
+    const a = el.attribs || {};
+    if (a.hidden !== undefined || a['aria-hidden'] === 'true' || /display\s*:\s*none/i.test(a.style || '')) return true;
+    if (['navigation', 'banner', 'contentinfo', 'dialog', 'complementary'].includes(a.role)) return true;
+    const names = attrs(el);
+    return el.name !== 'body' && el.name !== 'main' && el.name !== 'article'
+      && UNLIKELY.test(names) && !LIKELY.test(names);
+  });
+  for (const el of doomed) removeNode(el);
+}
+
+// ============ MAIN CONTENT ============
+
+/**
+ * Readability-style pick: every paragraph-like element scores its parent (full) and
+ * grandparent (half) by text length and commas; scores are cut by link density.
+ * A page of company cards scores the container that holds all of them.
+ */
+function findMainContent(body) {
+  const sizes = new Map();
+  measure(body, sizes);
+  const scores = new Map();
+  const add = (node, points) => {
+    if (!node || !isTag(node)) return;
+    scores.set(node, (scores.get(node) || 0) + points);
+  };
+
+  const paragraphs = findAll(body, el => ['p', 'li', 'td', 'pre', 'blockquote', 'h2', 'h3', 'dd'].includes(el.name));
+  for (const p of paragraphs) {
+    const length = sizes.get(p)?.text || 0;
+    if (length < 25) continue;
+    const commas = (textOf(p).match(/[,，]/g) || []).length;
+    const points = 1 + commas + Math.min(3, Math.floor(length / 100));
+    add(p.parent, points);
+    add(p.parent?.parent, points / 2);
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const [node, score] of scores) {
+    const { text, link } = sizes.get(node) || { text: 0, link: 0 };
+    const classBonus = LIKELY.test(attrs(node)) ? 5 : 0;
+    const adjusted = (score + classBonus) * (1 - link / (text || 1));
+    if (adjusted > bestScore) { best = node; bestScore = adjusted; }
+  }
+
+  // Explicit <main>/<article> wins when it holds the best block
+  const explicit = findAll(body, el => el.name === 'main' || el.name === 'article')
+    .find(el => best && contains(el, best));
+  return explicit || best || body;
+}
+
+function contains(ancestor, node) {
+  for (let n = node; n; n = n.parent) if (n === ancestor) return true;
+  return false;
+}
+
+// ============ RENDER ============
+
+function render(node, ctx) {
+  if (node.type === 'text') return node.data.replace(/\s+/g, ' ');
+  const inner = () => (node.children || []).map(child => render(child, ctx)).join('');
+  // A fragment without <body> is rendered from the document root
+  if (node.type === 'root') return inner();
+  if (!isTag(node) || SKIP_TAGS.has(node.name)) return '';
+
+  const name = node.name;
+
+  if (/^h[1-6]$/.test(name)) return `\n\n${'#'.repeat(Number(name[1]))} ${inner().trim()}\n\n`;
+  if (name === 'br') return '\n';
+  if (name === 'hr') return '\n\n---\n\n';
+  if (name === 'li') {
+    const list = node.parent;
+    const ordered = list?.name === 'ol';
+    const index = ordered ? list.children.filter(c => isTag(c) && c.name === 'li').indexOf(node) + 1 : 0;
+    return `\n${ordered ? `${index}.` : '-'} ${inner().trim()}`;
+  }
+  if (name === 'ul' || name === 'ol') return `\n${inner()}\n`;
+  if (name === 'tr') {
+    const cells = (node.children || []).filter(c => isTag(c) && (c.name === 'td' || c.name === 'th'));
+    return `\n| ${cells.map(c => render(c, ctx).replace(/\s+/g, ' ').trim()).join(' | ')} |`;
+  }
+  if (name === 'table') return `\n${inner()}\n\n`;
+  if (name === 'a' && ctx.pageHost) {
+    const text = inner();
+    const href = (node.attribs?.href || '').trim();
+    let host = null;
+    try { host = /^https?:/i.test(href) ? new URL(href).hostname.replace(/^www\./, '') : null; } catch {}
+    return host && host !== ctx.pageHost && text.trim() ? `${text} (${href})` : text;
+  }
+  if (name === 'img') return node.attribs?.alt ? ` ${node.attribs.alt} ` : '';
+  if (BLOCK_TAGS.has(name)) return `\n\n${inner()}\n\n`;
+  return inner();
+}
+
+function tidy(text) {
+  return text
+    .replace(/[ \t ]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Main content of a page as markdown-ish text, at most `limit` characters.
+ * With `pageUrl`, links to other sites stay in the text as "anchor (url)" — company sites on rating pages.
+ */
+function extractText(html, { limit = 8000, pageUrl = null } = {}) {
+  const doc = parseDocument(html || '', { decodeEntities: true, lowerCaseTags: true });
+  const body = findAll(doc, el => el.name === 'body')[0] || doc;
+
+  let pageHost = null;
+  try { pageHost = pageUrl ? new URL(pageUrl).hostname.replace(/^www\./, '') : null; } catch {}
+
+  stripBoilerplate(body);
+  let text = tidy(render(findMainContent(body), { pageHost }));
+  // Content laid out in bare divs scores nothing — the whole cleaned body is better than a scrap
+  if (text.length < 200) text = tidy(render(body, { pageHost }));
+  return text.substring(0, limit);
+}
+
+/** <title> text, entities decoded */
+// Never text of a fragment; unlike SKIP_TAGS, buttons and form labels of a card are kept
+const FRAGMENT_SKIP = new Set(['script', 'style', 'noscript', 'template', 'svg']);
+
+/** Text of an HTML fragment: entities decoded, tags as spaces, whitespace collapsed, nothing dropped as boilerplate */
+function fragmentText(html) {
+  const plain = (node) => {
+    if (node.type === 'text') return node.data;
+    if (!isTag(node) || FRAGMENT_SKIP.has(node.name)) return '';
+    return (node.children || []).map(plain).join(' ');
+  };
+  return parseDocument(html || '').children.map(plain).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+function extractTitle(html) {
+  const doc = parseDocument(html || '', { decodeEntities: true, lowerCaseTags: true });
+  const title = findAll(doc, el => el.name === 'title')[0];
+  return title ? textOf(title).replace(/\s+/g, ' ').trim() : '';
+}
+
+module.exports = { decodeHtml, extractText, extractTitle, fragmentText };
@@ -0,0 +1,342 @@
+/**
+ * Section-by-section page generation (project.generation_mode = 'sections').
+ * Instead of one answer with the whole page, step_6 asks for a page shell first — <head>, the design
+ * system as CSS custom properties and component classes, header/footer, an empty <main> with the
+ * <!-- SECTIONS --> slot — and then for every planned section separately; step_fill fills each section
+ * on its own. Sections are assembled in plan order, so a truncated or broken answer costs one section,
+ * which can be regenerated alone (POST /api/projects/:id/sections/retry).
+ *
+ * Plan (meta.siteSections):
+ *   { stage, updatedAt, sections: [{ id, type, label, rank?, ranks?, status, error? }] }
+ *   stage  — step_6 (sections are templates) or step_fill (filled)
+ *   status — done / error; a failed section stays on the page as an empty placeholder
+ *
+ * The JSON-LD ItemList is not left to the model: setItemList() writes it from the company order,
+ * so every section and the list agree.
+ */
+
+const { nameKey, similarNames } = require('./companies');
+
+const GENERATION_MODES = ['single', 'sections'];
+const SECTION_SLOT = '<!-- SECTIONS -->';
+
+// Places 1..PREMIUM_CARDS get their own card, the rest share the compact table
+const PREMIUM_CARDS = 5;
+const MAX_COMPANIES = 30;
+const MAX_STYLE_CHARS = 12000;
+
+const SECTION_LABELS = {
+  hero: 'Главный баннер',
+  methodology: 'Методология',
+  'company-card': 'Карточка',
+  'company-table': 'Таблица компаний',
+  analytics: 'Аналитика',
+  longread: 'SEO-статья',
+  faq: 'FAQ',
+  author: 'Автор',
+};
+
+// ============ PLAN ============
+
+/** Companies of the step_5 XML: <company rank="N" name="..." url="..."/> */
+function xmlCompanies(xml) {
+  const attr = (tag, name) => tag.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`))?.[1] || '';
+  return [...(xml || '').matchAll(/<company\b[^>]*>/g)]
+    .map((m, i) => ({ rank: parseInt(attr(m[0], 'rank'), 10) || i + 1, name: attr(m[0], 'name').trim(), url: attr(m[0], 'url').trim() || null }))
+    .filter(c => c.name)
+    .sort((a, b) => a.rank - b.rank);
+}
+
+/** Company order of the page: [{ rank, name, url }], ranks 1..n without gaps */
+function rankCompanies(rows) {
+  return rows.slice(0, MAX_COMPANIES).map((c, i) => ({ rank: i + 1, name: c.name, url: c.url || null }));
+}
+
+/**
+ * Company order of the filled page: the user's company first, then the consensus of the rating sites.
+ * `planned` — the companies the template's sections were generated for: the page keeps that many,
+ * and the planned companies the rating sites did not name take the places the consensus leaves empty,
+ * so the cards, the table and the JSON-LD list show the same companies.
+ */
+function fillCompanies(injectionName, consensusRanking, planned = []) {
+  const same = (a, b) => similarNames(nameKey(a.name), nameKey(b.name));
+  let rows = [...consensusRanking, ...planned.filter(p => !consensusRanking.some(c => same(c, p)))];
+  if (injectionName) {
+    const own = rows.find(c => same(c, { name: injectionName }));
+    rows = [{ name: injectionName, url: own?.url || null }, ...rows.filter(c => c !== own)];
+  }
+  const ranked = rankCompanies(rows);
+  return planned.length ? ranked.slice(0, planned.length) : ranked;
+}
+
+/**
+ * Sections of a page with these companies, top to bottom:
+ * hero, methodology, a card per premium place, the table for the rest, analytics, longread, faq, author.
+ */
+function planSections(companies) {
+  const cards = Math.min(PREMIUM_CARDS, companies.length) || PREMIUM_CARDS;
+  const types = [
+    { type: 'hero' },
+    { type: 'methodology' },
+    ...Array.from({ length: cards }, (_, i) => ({ type: 'company-card', rank: i + 1 })),
+    ...(companies.length > cards ? [{ type: 'company-table', ranks: [cards + 1, companies.length] }] : []),
+    { type: 'analytics' },
+    { type: 'longread' },
+    { type: 'faq' },
+    { type: 'author' },
+  ];
+
+  return types.map((section, i) => {
+    const company = section.rank && companies[section.rank - 1];
+    const label = section.rank
+      ? `${SECTION_LABELS[section.type]} #${section.rank}${company ? ` — ${company.name}` : ''}`
+      : section.ranks ? `${SECTION_LABELS[section.type]} (места ${section.ranks[0]}–${section.ranks[1]})` : SECTION_LABELS[section.type];
+    return { id: `block_${i + 1}`, ...section, label, status: 'pending' };
+  });
+}
+
+/** The companies a section shows */
+function sectionCompanies(section, companies) {
+  if (section.rank) return companies.filter(c => c.rank === section.rank);
+  if (section.ranks) return companies.filter(c => c.rank >= section.ranks[0] && c.rank <= section.ranks[1]);
+  if (section.type === 'methodology') return companies.slice(0, PREMIUM_CARDS);
+  return [];
+}
+
+// ============ PAGE OPERATIONS ============
+
+/** Opening tag of a section: data-block-id and data-block-type (and data-company-rank for a card) */
+function sectionTag(section) {
+  return `<section data-block-id="${section.id}" data-block-type="${section.type}"${section.rank ? ` data-company-rank="${section.rank}"` : ''}>`;
+}
+
+/** Empty stand-in for a section that failed: keeps its place on the page for a retry */
+function placeholderSection(section) {
+  return sectionTag(section).replace(/>$/, ' data-section-status="error">') + '</section>';
+}
+
+/**
+ * Element of a <section> tree starting at `from`: its end offset, nested sections counted.
+ * -1 when it never closes.
+ */
+function sectionEnd(html, from) {
+  const tags = /<(\/?)section\b[^>]*>/gi;
+  tags.lastIndex = from;
+  let depth = 0;
+  for (let m = tags.exec(html); m; m = tags.exec(html)) {
+    depth += m[1] ? -1 : 1;
+    if (depth === 0) return m.index + m[0].length;
+  }
+  return -1;
+}
+
+/** { start, end, html } of the section with this data-block-id, null when the page has none */
+function findSection(html, id) {
+  const open = new RegExp(`<section\\b[^>]*\\bdata-block-id="${id}"[^>]*>`, 'i').exec(html);
+  if (!open) return null;
+  const end = sectionEnd(html, open.index);
+  if (end === -1) return null;
+  return { start: open.index, end, html: html.substring(open.index, end) };
+}
+
+/** Page with one section swapped; null when the section is not on the page */
+function replaceSection(html, id, sectionHtml) {
+  const found = findSection(html, id);
+  if (!found) return null;
+  return html.substring(0, found.start) + sectionHtml + html.substring(found.end);
+}
+
+/** Shell with the sections in its slot: [{ section, html }], html null for a failed one */
+function assemblePage(shell, results) {
+  const body = results.map(r => r.html || placeholderSection(r.section)).join('\n\n');
+  return shell.replace(SECTION_SLOT, `\n${body}\n`);
+}
+
+/** CSS of the page (all <style> blocks, :root first), for the section prompts */
+function pageStyles(html) {
+  const css = [...html.matchAll(/<style\b[^>]*>([\s\S]*?)<\/style>/gi)].map(m => m[1].trim()).join('\n');
+  const root = (css.match(/:root\s*\{[^}]*\}/g) || []).join('\n');
+  return (root + '\n' + css.replace(/:root\s*\{[^}]*\}/g, '')).trim().substring(0, MAX_STYLE_CHARS);
+}
+
+/**
+ * Page with its JSON-LD ItemList set to these companies: the first ItemList found is rewritten
+ * (inside @graph too), otherwise a new JSON-LD script goes before </head>.
+ */
+function setItemList(html, companies) {
+  const itemListElement = companies.map(c => ({
+    '@type': 'ListItem',
+    position: c.rank,
+    item: { '@type': 'Organization', name: c.name, ...(c.url ? { url: c.url } : {}) },
+  }));
+
+  let replaced = false;
+  const result = html.replace(/(<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>)([\s\S]*?)(<\/script>)/gi, (whole, open, json, close) => {
+    if (replaced) return whole;
+    let data;
+    try { data = JSON.parse(json); }
+    catch { return whole; }
+    const list = [].concat(data, data['@graph'] || []).find(node => node && [].concat(node['@type'] || []).includes('ItemList'));
+    if (!list) return whole;
+    list.itemListElement = itemListElement;
+    list.numberOfItems = itemListElement.length;
+    replaced = true;
+    return `${open}\n${JSON.stringify(data, null, 2)}\n${close}`;
+  });
+  if (replaced) return result;
+
+  const script = `<script type="application/ld+json">\n${JSON.stringify({
+    '@context': 'https://schema.org', '@type': 'ItemList', numberOfItems: itemListElement.length, itemListElement,
+  }, null, 2)}\n</script>\n`;
+  const at = result.indexOf('</head>');
+  return at === -1 ? script + result : result.substring(0, at) + script + result.substring(at);
+}
+
+// ============ PROMPTS ============
+
+function companyLines(companies) {
+  return companies.map(c => `${c.rank}. ${c.name} — ${c.url || 'сайт неизвестен'}`).join('\n');
+}
+
+const SECTION_BRIEFS = {
+  hero: ({ niche, geoStr }) => `Главный баннер. H1: Рейтинг компаний в нише "${niche}"${geoStr} — актуальный обзор.
+E-E-A-T: виджет "Обновлено: Февраль 2026", ссылка на автора (#author), дисклеймер о методологии.
+Сильная entrance-анимация и визуальный якорь.`,
+  methodology: () => `Блок "Методология и Доверие" (BLUF).
+Краткий текст: "Как мы считали: проанализировано N компаний по M метрикам" — на основе XML.
+Сводная таблица лидеров (Quick Summary) — компании из списка ниже.`,
+  'company-card': ({ section }) => `Расширенная Premium-карточка компании на ${section.rank}-м месте: Header + Score + Dealbreakers + Метрики (по критериям XML) + Кейс + Отзыв.
+${section.rank === 1 ? 'Это лидер рейтинга: бейдж "Выбор редакции".\n' : ''}Ссылка на сайт компании обязательна.`,
+  'company-table': ({ section }) => `Компактная таблица компаний с ${section.ranks[0]}-го по ${section.ranks[1]}-е место: место, название со ссылкой на сайт, оценка, ключевые метрики.
+Каждую строку оберни: <tr data-block-id="company_row_N" data-block-type="company-row" data-company-rank="N">, где N — место.`,
+  analytics: () => `Блок "Аналитика рынка": 2–3 графика Chart.js (библиотека подключена в <head> с async).
+Внутри секции — <canvas> и <script>, который создаёт графики, когда window.Chart загружен.`,
+  longread: ({ niche }) => `SEO-статья (Longread) по теме "${niche}": подзаголовки H2/H3, факты и цифры, практические советы по выбору.`,
+  faq: () => `FAQ: 8–10 вопросов и ответов. JSON-LD FAQPage с этими же вопросами — <script type="application/ld+json"> внутри секции.`,
+  author: () => `Блок автора (id="author"): эксперт, опыт, фото-заглушка через CSS. JSON-LD Person — <script type="application/ld+json"> внутри секции.`,
+};
+
+/** Shell of the page: head, design system, header/footer, <main> with the sections slot */
+function buildShellPrompt({ niche, geo, siteLang, designSystemRaw, defaultDesignSystem, compilerRawXml, plan }) {
+  const geoStr = geo ? ` в ${geo}` : '';
+  const siteLangStr = `Весь контент сайта на языке: ${siteLang || 'Русский'}`;
+
+  return `ЯЗЫК САЙТА: ${siteLangStr}
+
+РОЛЬ: Ты — Senior SEO-специалист и Frontend Designer-Engineer. Ты создаёшь независимый рейтинговый портал (агрегатор) по теме "${niche}"${geoStr}.
+Страница собирается по частям: сейчас нужен только КАРКАС, секции с контентом пишутся отдельными запросами и вставляются в него.
+
+${designSystemRaw || defaultDesignSystem}
+
+КАРКАС:
+1. <head>: <title>, meta description, canonical, Open Graph. Защитные маркеры <!-- PROTECTED:SEO:START/END --> и <!-- PROTECTED:COUNTERS:START/END -->. Chart.js с CDN (async).
+2. JSON-LD в <head>: Organization (сам портал) и Article. ItemList, FAQPage и Person НЕ пиши — их добавят отдельно.
+3. <style> — ВСЯ дизайн-система страницы: :root с токенами (цвета, шрифты, отступы, радиусы, тени) и классы компонентов для каждой секции:
+${plan.map(s => `   - ${s.type}${s.rank ? ` #${s.rank}` : ''}: ${s.label}`).join('\n')}
+   Секции смогут использовать только эти классы — продумай их полный набор (карточки, бейджи, метрики, таблица, графики, FAQ-аккордеон, анимации).
+4. <body>: шапка с логотипом (CSS, не картинка), <main>, внутри которого ТОЛЬКО комментарий ${SECTION_SLOT}, футер (без блока автора).
+5. Mobile-First, семантические теги, CSS Grid/Flexbox, NO Tailwind. Общий JS (аккордеон FAQ, анимации появления) — в конце <body>.
+
+Тема и метрики — из XML ниже, контент секций не пиши.
+
+ФОРМАТ: ТОЛЬКО HTML, <!DOCTYPE html>. Без markdown, без бэктиков.
+
+ВХОДНЫЕ ДАННЫЕ (XML):
+
+${compilerRawXml}`;
+}
+
+/** One section of the page, with the shell's CSS as the only styles it may use */
+function buildSectionPrompt(section, { niche, geo, siteLang, compilerRawXml, companies, styles }) {
+  const geoStr = geo ? ` в ${geo}` : '';
+  const siteLangStr = `Весь контент сайта на языке: ${siteLang || 'Русский'}`;
+  const shown = sectionCompanies(section, companies);
+
+  return `ЯЗЫК САЙТА: ${siteLangStr}
+
+РОЛЬ: Ты — Senior SEO-специалист и Frontend Designer-Engineer. Ты пишешь ОДНУ секцию рейтингового портала по теме "${niche}"${geoStr}.
+Каркас страницы и стили готовы, остальные секции пишутся отдельно.
+
+СЕКЦИЯ: ${section.label}
+${sectionTag(section)} ... </section>
+
+ЗАДАЧА:
+${SECTION_BRIEFS[section.type]({ niche, geoStr, section })}
+${shown.length ? `
+КОМПАНИИ СЕКЦИИ (место. название — сайт):
+${companyLines(shown)}
+` : ''}
+СТИЛИ СТРАНИЦЫ (используй только эти классы и переменные):
+<site_styles>
+${styles}
+</site_styles>
+
+ПРАВИЛА:
+1. Верни ТОЛЬКО эту секцию: один корневой элемент ${sectionTag(section)} ... </section>. Без <html>, <head>, <body>.
+2. Новые <style> не добавляй. <script> — только если он указан в задаче.
+3. У каждой компании — кликабельная ссылка на сайт (<a href="...">), URL — из списка компаний.
+4. Год рейтинга — 2026. E-E-A-T контент с фактами и цифрами.
+5. Только HTML, без markdown и бэктиков.
+
+ВХОДНЫЕ ДАННЫЕ (XML):
+
+${compilerRawXml}`;
+}
+
+// Sections whose facts come from the rating pages
+const FACT_SECTIONS = ['methodology', 'company-card', 'company-table', 'analytics'];
+
+/** One template section filled with real data; `companies` is the final order (user's company first) */
+function buildSectionFillPrompt(section, templateHtml, { siteLang, companies, ratingDataBlocks, userCompanyData, consensusTable }) {
+  const fillSiteLangStr = `Весь контент сайта на языке: ${siteLang || 'Русский'}`;
+  const shown = sectionCompanies(section, companies);
+  const withFacts = FACT_SECTIONS.includes(section.type);
+
+  const inputs = [
+    `СЕКЦИЯ-ШАБЛОН (${section.label}):\n<template>\n${templateHtml}\n</template>`,
+    shown.length && `КОМПАНИИ СЕКЦИИ в итоговом порядке рейтинга (место. название — сайт; место = data-company-rank):\n${companyLines(shown)}`,
+    `КОНСЕНСУС-РЕЙТИНГ (компании, сведённые по всем рейтинговым сайтам):\n<consensus_ranking>\n${consensusTable || '(Компании из рейтингов не извлечены)'}\n</consensus_ranking>`,
+    withFacts && `ДАННЫЕ С РЕЙТИНГОВЫХ САЙТОВ (ОСНОВНОЙ источник фактов; у каждого источника id [S1], [S2]...):\n<ratings_data>\n${ratingDataBlocks || '(Рейтинговые сайты не были скачаны)'}\n</ratings_data>`,
+    `ДАННЫЕ КОМПАНИИ ПОЛЬЗОВАТЕЛЯ (она на 1-м месте):\n<user_company>\n${userCompanyData || '(Пользователь не предоставил данные своей компании)'}\n</user_company>`,
+  ].filter(Boolean);
+
+  return `ЯЗЫК САЙТА: ${fillSiteLangStr}
+
+РОЛЬ: Ты — Senior SEO-копирайтер и веб-разработчик. Твоя задача — наполнить ОДНУ секцию готового HTML-шаблона рейтинга реальными данными. Остальные секции наполняются отдельно.
+
+ВХОДНЫЕ ДАННЫЕ:
+
+${inputs.map((block, i) => `${i + 1}. ${block}`).join('\n\n')}
+
+ЗАДАЧА:
+1. Наполни секцию реальными данными, сохрани её структуру, классы и скрипты.
+2. Компании и их места — строго по списку компаний секции. На 1-м месте — компания пользователя с бейджем "Выбор редакции".
+3. У КАЖДОЙ компании — кликабельная ссылка на сайт (<a href="...">).
+4. Год рейтинга — 2026. ${fillSiteLangStr}.
+5. Цены, число отзывов и URL — из данных выше, без выдуманных цифр.${withFacts ? `
+6. ИСТОЧНИКИ ФАКТОВ: каждый факт компании (оценка, цена, число отзывов, кейс) оберни в <span data-cite="S2" data-fact="score|price|reviews|case">...</span>, где S2 — id источника из ratings_data. Факты без источника не оборачивай.` : ''}
+
+СОХРАНЕНИЕ РАЗМЕТКИ: data-block-id, data-block-type, data-company-rank — без изменений.
+
+ФОРМАТ: ТОЛЬКО эта секция — один корневой элемент ${sectionTag(section)} ... </section>. Без markdown, без бэктиков.`;
+}
+
+module.exports = {
+  GENERATION_MODES,
+  SECTION_SLOT,
+  MAX_COMPANIES,
+  xmlCompanies,
+  rankCompanies,
+  fillCompanies,
+  planSections,
+  sectionTag,
+  sectionEnd,
+  findSection,
+  replaceSection,
+  assemblePage,
+  pageStyles,
+  setItemList,
+  buildShellPrompt,
+  buildSectionPrompt,
+  buildSectionFillPrompt,
+};
@@ -1,54 +1,38 @@
 const express = require('express');
 const path = require('path');
-const fs = require('fs');
 const crypto = require('crypto');
-const { runPipeline, stopPipeline } = require('./pipeline');
+const storage = require('./storage');
+const {
+  runPipeline, stopPipeline, getResumeStep, forkState, variantState, callModel, callRoute, fetchRating, renderOptions, FORK_STEPS, RENDER_MODES,
+} = require('./pipeline');
+const { decodeHtml, extractText, extractTitle } = require('./readability');
+const { addFootnotes, removeFootnotes } = require('./citations');
+const { checkConsistency } = require('./consistency');
+const headless = require('./headless');
+const { GENERATION_MODES } = require('./sections');
+const { diffHtml } = require('./versions');
+const { auditPage } = require('./audit');
+const { PROVIDERS, resolveProvider } = require('./providers');
+const models = require('./models');
+const { recordUsage, usageReport } = require('./usage');
+const { JobQueue } = require('./jobs');
+const vault = require('./vault');
+const auth = require('./auth');
 
 const app = express();
 app.use(express.json({ limit: '10mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// ============ FILE I/O HELPERS ============
+// ============ STORAGE HELPERS ============
 
-const DATA_DIR = path.join(__dirname, 'data');
-const PROJECTS_FILE = path.join(DATA_DIR, 'projects.json');
-const PROJECTS_DIR = path.join(DATA_DIR, 'projects');
-
-function readProjects() {
-  try { return JSON.parse(fs.readFileSync(PROJECTS_FILE, 'utf8')); }
-  catch { return []; }
-}
-
-function writeProjects(projects) {
-  fs.writeFileSync(PROJECTS_FILE, JSON.stringify(projects, null, 2));
-}
-
-function readProjectMeta(id) {
-  try { return JSON.parse(fs.readFileSync(path.join(PROJECTS_DIR, `${id}.meta.json`), 'utf8')); }
-  catch { return {}; }
-}
-
-function writeProjectMeta(id, meta) {
-  fs.writeFileSync(path.join(PROJECTS_DIR, `${id}.meta.json`), JSON.stringify(meta));
-}
-
-function readProjectHtml(id) {
-  try { return fs.readFileSync(path.join(PROJECTS_DIR, `${id}.html`), 'utf8'); }
-  catch { return ''; }
-}
-
-function writeProjectHtml(id, html) {
-  fs.writeFileSync(path.join(PROJECTS_DIR, `${id}.html`), html, 'utf8');
-}
+// Express 4 does not catch rejected promises — pass them to the error handler at the bottom
+const asyncRoute = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
 
 // ============ SSE INFRASTRUCTURE ============
 
 // Map: projectId → Set of response objects
 const sseClients = new Map();
 
-// Map: projectId → { abort, promise }
-const runningPipelines = new Map();
-
 function addSSEClient(projectId, res) {
   if (!sseClients.has(projectId)) sseClients.set(projectId, new Set());
   sseClients.get(projectId).add(res);
@@ -79,16 +63,287 @@ setInterval(() => {
   }
 }, 30000);
 
-// ============ CRUD ENDPOINTS ============
+// ============ AUTH ============
+
+// Projects created before workspaces existed belong to the default workspace
+function projectWorkspace(project) {
+  return project.workspace_id || auth.DEFAULT_WORKSPACE;
+}
 
-// GET /api/projects — list all projects
-app.get('/api/projects', (req, res) => {
-  res.json(readProjects());
+function sessionInfo(req, user, workspaceId) {
+  const workspaces = auth.userWorkspaces(user.id);
+  return { user, serverAdmin: auth.isServerAdmin(user.id), workspace: workspaces.find(w => w.id === workspaceId) || null, workspaces };
+}
+
+// GET /api/auth/status — whether the first (admin) account still has to be created
+app.get('/api/auth/status', (req, res) => {
+  res.json({ needsSetup: !auth.hasUsers() });
+});
+
+// POST /api/auth/register — first account only: becomes the server admin, admin of the default workspace
+// and owner of existing projects
+app.post('/api/auth/register', asyncRoute(async (req, res) => {
+  if (auth.hasUsers()) return res.status(403).json({ error: 'Регистрация закрыта — попросите администратора добавить вас' });
+
+  let user;
+  try { user = auth.createUser({ username: req.body.username, password: req.body.password, serverAdmin: true }); }
+  catch (err) { return res.status(400).json({ error: err.message }); }
+
+  if (!auth.readWorkspaces().some(w => w.id === auth.DEFAULT_WORKSPACE)) {
+    auth.createWorkspace({ id: auth.DEFAULT_WORKSPACE, name: 'Основное пространство', ownerId: user.id });
+  } else {
+    auth.setMember(auth.DEFAULT_WORKSPACE, user.id, 'admin');
+  }
+
+  for (const { id } of await storage.listProjects()) {
+    await storage.updateProject(id, (project) => {
+      project.workspace_id = projectWorkspace(project);
+      if (!project.owner_id) project.owner_id = user.id;
+    });
+  }
+
+  auth.setSessionCookie(req, res, auth.createSession(user.id, auth.DEFAULT_WORKSPACE));
+  res.status(201).json(sessionInfo(req, user, auth.DEFAULT_WORKSPACE));
+}));
+
+// POST /api/auth/login
+app.post('/api/auth/login', (req, res) => {
+  const user = auth.authenticate(req.body.username, req.body.password);
+  if (!user) return res.status(401).json({ error: 'Неверный логин или пароль' });
+
+  const workspaces = auth.userWorkspaces(user.id);
+  if (!workspaces.length) return res.status(403).json({ error: 'Нет доступа ни к одному пространству' });
+
+  auth.setSessionCookie(req, res, auth.createSession(user.id, workspaces[0].id));
+  res.json(sessionInfo(req, user, workspaces[0].id));
 });
 
+// POST /api/auth/logout
+app.post('/api/auth/logout', (req, res) => {
+  auth.destroySession(auth.readSessionCookie(req));
+  auth.clearSessionCookie(res);
+  res.json({ ok: true });
+});
+
+// Everything below requires a session
+app.use('/api', auth.requireAuth);
+
+// GET /api/auth/me — current user, workspace and role
+app.get('/api/auth/me', (req, res) => {
+  res.json(sessionInfo(req, req.user, req.workspaceId));
+});
+
+// POST /api/auth/workspace — switch the session to another workspace of the user
+app.post('/api/auth/workspace', (req, res) => {
+  const { workspaceId } = req.body;
+  if (!auth.memberRole(workspaceId, req.user.id)) return res.status(404).json({ error: 'Not found' });
+  auth.updateSession(req.sessionToken, { workspaceId });
+  res.json(sessionInfo(req, req.user, workspaceId));
+});
+
+// POST /api/workspaces — new workspace (server admin only), the caller becomes its admin and switches to it
+app.post('/api/workspaces', auth.requireServerAdmin, (req, res) => {
+  const workspace = auth.createWorkspace({ name: req.body.name, ownerId: req.user.id });
+  auth.updateSession(req.sessionToken, { workspaceId: workspace.id });
+  res.status(201).json(sessionInfo(req, req.user, workspace.id));
+});
+
+// GET /api/workspaces/current/members
+app.get('/api/workspaces/current/members', (req, res) => {
+  res.json(auth.listMembers(req.workspaceId));
+});
+
+// POST /api/workspaces/current/members — add an existing user, or create one with `password`
+app.post('/api/workspaces/current/members', auth.requireRole('admin'), (req, res) => {
+  const { username, password, role = 'viewer' } = req.body;
+  if (!auth.ROLES.includes(role)) return res.status(400).json({ error: `Unknown role: ${role}` });
+
+  try {
+    const user = auth.findUserByName(username) || auth.createUser({ username, password });
+    auth.setMember(req.workspaceId, user.id, role);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.status(201).json(auth.listMembers(req.workspaceId));
+});
+
+// PUT /api/workspaces/current/members/:userId — change role
+app.put('/api/workspaces/current/members/:userId', auth.requireRole('admin'), (req, res) => {
+  if (!auth.memberRole(req.workspaceId, req.params.userId)) return res.status(404).json({ error: 'Not found' });
+  try { auth.setMember(req.workspaceId, req.params.userId, req.body.role); }
+  catch (err) { return res.status(400).json({ error: err.message }); }
+  res.json(auth.listMembers(req.workspaceId));
+});
+
+// DELETE /api/workspaces/current/members/:userId
+app.delete('/api/workspaces/current/members/:userId', auth.requireRole('admin'), (req, res) => {
+  try {
+    if (!auth.removeMember(req.workspaceId, req.params.userId)) return res.status(404).json({ error: 'Not found' });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json(auth.listMembers(req.workspaceId));
+});
+
+// Every /api/projects/:id* route (the SSE stream included) only sees projects of the caller's workspace.
+// Reads need viewer, everything else editor. The project is loaded once into req.project.
+app.use('/api/projects/:id', asyncRoute(async (req, res, next) => {
+  const project = await storage.getProject(req.params.id);
+  if (!project || projectWorkspace(project) !== req.workspaceId) return res.status(404).json({ error: 'Not found' });
+  req.project = project;
+  auth.requireRole(req.method === 'GET' ? 'viewer' : 'editor')(req, res, next);
+}));
+
+async function workspaceProjects(workspaceId) {
+  return (await storage.listProjects()).filter(p => projectWorkspace(p) === workspaceId);
+}
+
+// ============ JOB QUEUE ============
+
+// Project pipelineStatus for each job status
+const PIPELINE_STATUS_BY_JOB = {
+  queued: 'queued',
+  running: 'running',
+  done: 'done',
+  error: 'error',
+  stopped: 'idle',
+  cancelled: 'idle',
+  interrupted: 'interrupted',
+};
+
+// Status changes are applied one after another: the job object keeps changing while a write is in flight
+let jobChanges = Promise.resolve();
+
+function onJobChange(job) {
+  const change = { ...job, position: jobQueue.position(job) };
+  jobChanges = jobChanges
+    .then(() => applyJobChange(change))
+    .catch(err => console.error(`[pipeline] Status update for ${job.projectId} failed:`, err.message));
+}
+
+async function applyJobChange(job) {
+  const { projectId } = job;
+  await storage.updateProject(projectId, (project) => {
+    project.pipelineStatus = PIPELINE_STATUS_BY_JOB[job.status];
+    project.updated_at = new Date().toISOString();
+  });
+
+  switch (job.status) {
+    case 'queued':
+      emitSSE(projectId, 'pipeline_queued', { projectId, position: job.position });
+      break;
+    case 'running':
+      emitSSE(projectId, 'pipeline_started', { projectId });
+      break;
+    case 'done':
+      emitSSE(projectId, 'pipeline_done', { projectId });
+      break;
+    case 'error':
+      console.error(`[pipeline] Error for ${projectId}:`, job.error);
+      emitSSE(projectId, 'pipeline_error', { projectId, error: job.error });
+      break;
+    case 'stopped':
+    case 'cancelled':
+      console.log(`[pipeline] Stopped ${projectId} at ${job.step || '—'}`);
+      emitSSE(projectId, 'pipeline_stopped', { projectId, step: job.step || null });
+      break;
+  }
+}
+
+const jobQueue = new JobQueue({
+  concurrency: parseInt(process.env.PIPELINE_CONCURRENCY, 10) || 3,
+  runJob: async (job) => {
+    // The key is resolved when the job starts, so queued jobs never hold one
+    const project = await storage.getProject(job.projectId);
+    if (!project) throw new Error('Project not found');
+    const apiKey = projectApiKey(project, resolveProvider(project));
+
+    return runPipeline(job.projectId, apiKey, job.startFrom, (event, data) => {
+      if (event === 'step_start') jobQueue.update(job, { step: data.step });
+      emitSSE(job.projectId, event, { ...data, projectId: job.projectId });
+    }, { sections: job.sections, author: job.startedBy || null });
+  },
+  onChange: onJobChange,
+  onStop: (job, opts) => stopPipeline(job.projectId, opts),
+});
+
+/**
+ * API key for a project's provider from the vault: the project key, else its workspace key.
+ * Throws when the provider needs a key and none is assigned.
+ */
+function projectApiKey(project, provider) {
+  if (provider.name === 'replay') return null;
+  const key = vault.resolveApiKey(project, provider.name, provider.baseUrl);
+  if (provider.needsKey && !key) throw new Error('API-ключ не задан: добавьте ключ для проекта или рабочего пространства');
+  return key;
+}
+
+function hasUsableKey(project) {
+  try { return Boolean(projectApiKey(project, resolveProvider(project)) || !resolveProvider(project).needsKey); }
+  catch { return false; }
+}
+
+/**
+ * Find runs orphaned by a restart: projects still marked running/queued with no live job.
+ * With PIPELINE_AUTO_RESUME=1 they are re-queued from the step after the last one saved
+ * in meta (when the project has a key in the vault, if the provider needs one), otherwise
+ * marked `interrupted` for the UI.
+ */
+async function recoverInterruptedRuns() {
+  const autoResume = process.env.PIPELINE_AUTO_RESUME === '1';
+  const toResume = [];
+
+  for (const project of await storage.listProjects()) {
+    if (project.pipelineStatus !== 'running' && project.pipelineStatus !== 'queued') continue;
+    if (jobQueue.active(project.id)) continue;
+
+    const startFrom = await getResumeStep(project.id);
+    const lastJob = jobQueue.latest(project.id);
+    const now = new Date().toISOString();
+    let pipelineStatus = 'interrupted';
+
+    if (!startFrom) {
+      // Last step was saved, only the final status update was lost
+      pipelineStatus = 'done';
+    } else if (autoResume && hasUsableKey(project)) {
+      pipelineStatus = project.pipelineStatus;
+      toResume.push({ projectId: project.id, startFrom });
+    } else {
+      await storage.updateMeta(project.id, (meta) => {
+        meta.stoppedAt = { step: lastJob?.step || startFrom, at: now, reason: 'restart' };
+      });
+    }
+    await storage.updateProject(project.id, (p) => {
+      p.pipelineStatus = pipelineStatus;
+      p.updated_at = now;
+    });
+    console.log(`[pipeline] Orphaned run ${project.id}: ${toResume.some(r => r.projectId === project.id) ? `resuming from ${startFrom}` : pipelineStatus}`);
+  }
+
+  for (const run of toResume) jobQueue.enqueue(run);
+}
+
+// GET /api/jobs — queued, running and finished pipeline runs
+app.get('/api/jobs', asyncRoute(async (req, res) => {
+  const projectIds = new Set((await workspaceProjects(req.workspaceId)).map(p => p.id));
+  const jobs = jobQueue.list().filter(j => projectIds.has(j.projectId));
+  res.json({
+    concurrency: jobQueue.concurrency,
+    running: jobs.filter(j => j.status === 'running').length,
+    queued: jobs.filter(j => j.status === 'queued').length,
+    jobs: req.query.projectId ? jobs.filter(j => j.projectId === req.query.projectId) : jobs,
+  });
+}));
+
+// ============ CRUD ENDPOINTS ============
+
+// GET /api/projects — projects of the caller's workspace
+app.get('/api/projects', asyncRoute(async (req, res) => {
+  res.json(await workspaceProjects(req.workspaceId));
+}));
+
 // POST /api/projects — create project
-app.post('/api/projects', (req, res) => {
-  const projects = readProjects();
+app.post('/api/projects', auth.requireRole('editor'), asyncRoute(async (req, res) => {
   const id = crypto.randomUUID();
   const now = new Date().toISOString();
 
@@ -102,6 +357,12 @@ app.post('/api/projects', (req, res) => {
     injection_name: req.body.injection_name || '',
     injection_info: req.body.injection_info || '',
     design_style: req.body.design_style || 'auto',
+    llm_provider: PROVIDERS.includes(req.body.llm_provider) ? req.body.llm_provider : '',
+    llm_base_url: req.body.llm_base_url || '',
+    render_mode: RENDER_MODES.includes(req.body.render_mode) ? req.body.render_mode : 'auto',
+    generation_mode: GENERATION_MODES.includes(req.body.generation_mode) ? req.body.generation_mode : 'single',
+    workspace_id: req.workspaceId,
+    owner_id: req.user.id,
     status: 'new',
     currentStep: null,
     pipelineStatus: 'idle',
@@ -109,192 +370,725 @@ app.post('/api/projects', (req, res) => {
     updated_at: now,
   };
 
-  projects.push(project);
-  writeProjects(projects);
+  await storage.createProject(project);
   res.status(201).json(project);
+}));
+
+// GET /api/browser-status — whether JavaScript-rendered rating pages can be fetched (headless.js)
+app.get('/api/browser-status', (req, res) => {
+  res.json(headless.browserStatus());
 });
 
 // GET /api/projects/:id — project + meta (without html)
-app.get('/api/projects/:id', (req, res) => {
-  const projects = readProjects();
-  const project = projects.find(p => p.id === req.params.id);
-  if (!project) return res.status(404).json({ error: 'Not found' });
-
-  const meta = readProjectMeta(req.params.id);
-  res.json({ ...project, meta });
-});
+app.get('/api/projects/:id', asyncRoute(async (req, res) => {
+  const meta = await storage.getMeta(req.params.id);
+  res.json({ ...req.project, meta });
+}));
 
 // GET /api/projects/:id/html — html content
-app.get('/api/projects/:id/html', (req, res) => {
-  const html = readProjectHtml(req.params.id);
+app.get('/api/projects/:id/html', asyncRoute(async (req, res) => {
+  const html = await storage.getHtml(req.params.id);
   if (!html) return res.status(404).json({ error: 'No HTML' });
   res.type('html').send(html);
-});
-
-// PUT /api/projects/:id — update project fields
-app.put('/api/projects/:id', (req, res) => {
-  const projects = readProjects();
-  const project = projects.find(p => p.id === req.params.id);
-  if (!project) return res.status(404).json({ error: 'Not found' });
+}));
 
+// PUT /api/projects/:id — update project fields.
+// pipelineStatus and currentStep are not among them: only the job queue and the pipeline set those.
+app.put('/api/projects/:id', asyncRoute(async (req, res) => {
   const allowed = ['niche', 'geo', 'geo_request', 'query_lang', 'site_lang',
-    'injection_name', 'injection_info', 'design_style', 'status', 'currentStep', 'pipelineStatus',
-    'seo_block'];
-  for (const key of allowed) {
-    if (req.body[key] !== undefined) project[key] = req.body[key];
+    'injection_name', 'injection_info', 'design_style', 'status',
+    'seo_block', 'llm_provider', 'llm_base_url', 'render_mode', 'generation_mode'];
+  if (req.body.llm_provider && !PROVIDERS.includes(req.body.llm_provider)) {
+    return res.status(400).json({ error: `Unknown LLM provider: ${req.body.llm_provider}` });
   }
-  project.updated_at = new Date().toISOString();
-  writeProjects(projects);
+  if (req.body.render_mode !== undefined && !RENDER_MODES.includes(req.body.render_mode)) {
+    return res.status(400).json({ error: `Unknown render mode: ${req.body.render_mode}` });
+  }
+  if (req.body.generation_mode !== undefined && !GENERATION_MODES.includes(req.body.generation_mode)) {
+    return res.status(400).json({ error: `Unknown generation mode: ${req.body.generation_mode}` });
+  }
+  const project = await storage.updateProject(req.params.id, (p) => {
+    for (const key of allowed) {
+      if (req.body[key] !== undefined) p[key] = req.body[key];
+    }
+    p.updated_at = new Date().toISOString();
+  });
+  if (!project) return res.status(404).json({ error: 'Not found' });
   res.json(project);
-});
+}));
 
-// PUT /api/projects/:id/html — update html (from editor)
-app.put('/api/projects/:id/html', (req, res) => {
-  const projects = readProjects();
-  const project = projects.find(p => p.id === req.params.id);
-  if (!project) return res.status(404).json({ error: 'Not found' });
+// Sources a client may give its saves; the rest belong to the pipeline and the server (versions.js)
+const CLIENT_HTML_SOURCES = ['editor', 'block'];
 
-  writeProjectHtml(req.params.id, req.body.html || '');
-  project.updated_at = new Date().toISOString();
-  writeProjects(projects);
+// PUT /api/projects/:id/html — update html (from editor); { source: 'block' } after a block regeneration
+app.put('/api/projects/:id/html', asyncRoute(async (req, res) => {
+  const source = CLIENT_HTML_SOURCES.includes(req.body.source) ? req.body.source : 'editor';
+  await storage.saveHtml(req.params.id, req.body.html || '', { source, author: req.user.username });
+  await storage.updateProject(req.params.id, (p) => { p.updated_at = new Date().toISOString(); });
   res.json({ ok: true });
-});
+}));
 
 // DELETE /api/projects/:id — delete project + files
-app.delete('/api/projects/:id', (req, res) => {
-  let projects = readProjects();
-  const idx = projects.findIndex(p => p.id === req.params.id);
-  if (idx === -1) return res.status(404).json({ error: 'Not found' });
-
-  // Stop pipeline if running
-  if (runningPipelines.has(req.params.id)) {
-    stopPipeline();
-    runningPipelines.delete(req.params.id);
+app.delete('/api/projects/:id', asyncRoute(async (req, res) => {
+  const { owner_id } = req.project;
+  if (owner_id && owner_id !== req.user.id && req.role !== 'admin') {
+    return res.status(403).json({ error: 'Удалить проект может только его владелец или администратор' });
   }
 
-  projects.splice(idx, 1);
-  writeProjects(projects);
+  // Stop pipeline if running or queued — discard its results, meta and html are removed below
+  jobQueue.cancel(req.params.id, { discard: true });
 
-  // Clean up files
-  const metaFile = path.join(PROJECTS_DIR, `${req.params.id}.meta.json`);
-  const htmlFile = path.join(PROJECTS_DIR, `${req.params.id}.html`);
-  try { fs.unlinkSync(metaFile); } catch {}
-  try { fs.unlinkSync(htmlFile); } catch {}
+  await storage.deleteProject(req.params.id);
+  vault.deleteProjectKeys(req.params.id);
 
   res.json({ ok: true });
-});
+}));
 
 // POST /api/projects/:id/duplicate — duplicate project
-app.post('/api/projects/:id/duplicate', (req, res) => {
-  const projects = readProjects();
-  const source = projects.find(p => p.id === req.params.id);
-  if (!source) return res.status(404).json({ error: 'Not found' });
-
+app.post('/api/projects/:id/duplicate', asyncRoute(async (req, res) => {
+  const source = req.project;
   const newId = crypto.randomUUID();
   const now = new Date().toISOString();
 
+  // Usage belongs to the source project — the copy has not spent anything yet
+  const { usage_totals, ...sourceFields } = source;
   const duplicate = {
-    ...source,
+    ...sourceFields,
     id: newId,
+    owner_id: req.user.id,
     status: source.status,
     pipelineStatus: 'idle',
     created_at: now,
     updated_at: now,
   };
 
-  projects.push(duplicate);
-  writeProjects(projects);
+  await storage.createProject(duplicate);
 
   // Copy meta and html
-  const sourceMeta = readProjectMeta(req.params.id);
-  if (Object.keys(sourceMeta).length > 0) writeProjectMeta(newId, sourceMeta);
-  const sourceHtml = readProjectHtml(req.params.id);
-  if (sourceHtml) writeProjectHtml(newId, sourceHtml);
+  const { usage, ...sourceMeta } = await storage.getMeta(req.params.id);
+  if (Object.keys(sourceMeta).length > 0) await storage.saveMeta(newId, sourceMeta);
+  const sourceHtml = await storage.getHtml(req.params.id);
+  if (sourceHtml) await storage.saveHtml(newId, sourceHtml, { source: 'duplicate', author: req.user.username });
 
   res.status(201).json(duplicate);
-});
+}));
 
-// ============ PIPELINE CONTROL ============
+// ============ FORKS ============
+// A fork is a child project (parent_id) that keeps the parent's results before a step and reruns
+// the pipeline from it with other settings; forks of forks make a variant tree.
 
-// POST /api/projects/:id/pipeline/start — start pipeline
-app.post('/api/projects/:id/pipeline/start', (req, res) => {
-  const projectId = req.params.id;
-  const { apiKey, startFrom } = req.body;
+// Project fields a fork may change for its rerun
+const FORK_FIELDS = ['design_style', 'generation_mode', 'render_mode', 'site_lang', 'injection_name', 'injection_info', 'llm_provider', 'llm_base_url'];
 
-  if (!apiKey) return res.status(400).json({ error: 'API key required' });
+// POST /api/projects/:id/fork — { step, model_config?, ...FORK_FIELDS }: create the child and queue its run from `step`.
+// model_config routes are merged over the parent's overrides.
+app.post('/api/projects/:id/fork', asyncRoute(async (req, res) => {
+  const { step } = req.body;
+  if (!FORK_STEPS.includes(step)) return res.status(400).json({ error: `Форк невозможен с шага: ${step}` });
+  if (rejectWhileRunning(req, res)) return;
+  if (req.body.llm_provider && !PROVIDERS.includes(req.body.llm_provider)) {
+    return res.status(400).json({ error: `Unknown LLM provider: ${req.body.llm_provider}` });
+  }
+  if (req.body.render_mode !== undefined && !RENDER_MODES.includes(req.body.render_mode)) {
+    return res.status(400).json({ error: `Unknown render mode: ${req.body.render_mode}` });
+  }
+  if (req.body.generation_mode !== undefined && !GENERATION_MODES.includes(req.body.generation_mode)) {
+    return res.status(400).json({ error: `Unknown generation mode: ${req.body.generation_mode}` });
+  }
+  const modelErrors = req.body.model_config ? models.validateModelConfig(req.body.model_config, { partial: true }) : [];
+  if (modelErrors.length) return res.status(400).json({ error: modelErrors.join('; '), errors: modelErrors });
 
-  const projects = readProjects();
-  const project = projects.find(p => p.id === projectId);
-  if (!project) return res.status(404).json({ error: 'Not found' });
+  const parent = req.project;
+  const changes = {};
+  for (const key of FORK_FIELDS) {
+    if (req.body[key] !== undefined && req.body[key] !== parent[key]) changes[key] = req.body[key];
+  }
+  if (req.body.model_config && Object.keys(req.body.model_config).length) changes.model_config = req.body.model_config;
 
-  // Check if already running
-  if (runningPipelines.has(projectId)) {
-    return res.status(409).json({ error: 'Pipeline already running' });
+  const modelConfig = { ...parent.model_config };
+  for (const [route, override] of Object.entries(changes.model_config || {})) {
+    modelConfig[route] = { ...modelConfig[route], ...override };
   }
 
-  // Update status
-  project.pipelineStatus = 'running';
-  project.updated_at = new Date().toISOString();
-  writeProjects(projects);
+  const { usage_totals, ...parentFields } = parent;
+  const { meta, html, error } = await forkState(parent.id, step);
+  if (error) return res.status(409).json({ error });
+  const now = new Date().toISOString();
+  const child = {
+    ...parentFields,
+    ...changes,
+    id: crypto.randomUUID(),
+    owner_id: req.user.id,
+    parent_id: parent.id,
+    fork: { step, changes, created_at: now },
+    model_config: modelConfig,
+    status: 'new',
+    currentStep: meta.currentStep || null,
+    pipelineStatus: 'idle',
+    created_at: now,
+    updated_at: now,
+  };
+  await storage.createProject(child);
+  await storage.saveMeta(child.id, meta);
+  if (html) await storage.saveHtml(child.id, html, { source: 'fork', author: req.user.username });
+  vault.copyProjectKeys(parent.id, child.id);
+
+  // A fork that cannot start yet (no key, broken model config) is still created — it can be started later
+  const blocker = startBlocker(child);
+  const job = blocker ? null : jobQueue.enqueue({ projectId: child.id, startFrom: step, startedBy: req.user.username });
+  res.status(201).json({ project: child, job: job && jobQueue.describe(job), error: blocker?.body.error || null });
+}));
+
+// Root of the variant tree a project belongs to; a parent outside the workspace ends the walk
+function variantRoot(projects, project) {
+  const byId = new Map(projects.map(p => [p.id, p]));
+  let root = project;
+  while (root.parent_id && byId.has(root.parent_id)) root = byId.get(root.parent_id);
+  return root;
+}
 
-  // Emit function for SSE
-  const emit = (event, data) => {
-    emitSSE(projectId, event, { ...data, projectId });
+// GET /api/projects/:id/variants — the variant tree the project belongs to, from its root, flat with parent_id;
+// each variant with a short outcome summary for side-by-side comparison
+app.get('/api/projects/:id/variants', asyncRoute(async (req, res) => {
+  const projects = await workspaceProjects(req.workspaceId);
+  const root = variantRoot(projects, req.project);
+
+  const tree = [];
+  const visit = (project, depth) => {
+    tree.push({ project, depth });
+    projects.filter(p => p.parent_id === project.id)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .forEach(child => visit(child, depth + 1));
   };
+  visit(root, 0);
 
-  // Start pipeline async
-  const pipelinePromise = runPipeline(projectId, apiKey, startFrom || null, emit)
-    .then(() => {
-      const projs = readProjects();
-      const p = projs.find(pr => pr.id === projectId);
-      if (p) {
-        p.pipelineStatus = 'done';
-        p.updated_at = new Date().toISOString();
-        writeProjects(projs);
-      }
-      emitSSE(projectId, 'pipeline_done', { projectId });
-      runningPipelines.delete(projectId);
-    })
-    .catch((err) => {
-      console.error(`[pipeline] Error for ${projectId}:`, err.message);
-      const projs = readProjects();
-      const p = projs.find(pr => pr.id === projectId);
-      if (p) {
-        p.pipelineStatus = 'error';
-        p.updated_at = new Date().toISOString();
-        writeProjects(projs);
-      }
-      emitSSE(projectId, 'pipeline_error', { projectId, error: err.message });
-      runningPipelines.delete(projectId);
+  const variants = await Promise.all(tree.map(async ({ project, depth }) => {
+    const meta = await storage.getMeta(project.id);
+    const report = Object.values(meta.consistency || {}).filter(Boolean)
+      .sort((a, b) => b.checkedAt.localeCompare(a.checkedAt))[0];
+    const facts = (meta.citations?.companies || []).flatMap(c => c.facts);
+    return {
+      id: project.id,
+      parent_id: project.parent_id || null,
+      depth,
+      fork: project.fork || null,
+      niche: project.niche,
+      geo: project.geo,
+      design_style: project.design_style,
+      generation_mode: project.generation_mode || 'single',
+      status: project.status,
+      pipelineStatus: project.pipelineStatus,
+      currentStep: meta.currentStep || null,
+      updated_at: project.updated_at,
+      usage_totals: project.usage_totals || null,
+      summary: {
+        companies: report?.companies.visible ?? null,
+        errors: report ? report.warnings.filter(w => w.severity === 'error').length : null,
+        warnings: report ? report.warnings.filter(w => w.severity !== 'error').length : null,
+        facts: facts.length,
+        unsourced: facts.filter(f => !f.verified).length,
+        flaggedSites: meta.siteVerification?.flagged ?? null,
+      },
+    };
+  }));
+  res.json({ rootId: root.id, variants });
+}));
+
+// ============ VARIANT COMPARISON ============
+// Variants are compared page against page (audit.js) and the winner is promoted to the main project.
+
+// GET /api/projects/:id/audit?version=N — size, companies, JSON-LD and the static audit of the page
+// (the current one by default)
+app.get('/api/projects/:id/audit', asyncRoute(async (req, res) => {
+  let html;
+  let version = null;
+  if (req.query.version) {
+    const saved = await storage.getVersion(req.params.id, parseInt(req.query.version, 10));
+    if (!saved) return res.status(404).json({ error: 'Версия не найдена' });
+    ({ html, version } = saved);
+  } else {
+    html = await storage.getHtml(req.params.id);
+    version = (await storage.listVersions(req.params.id))[0]?.version || null;
+  }
+  if (!html) return res.status(404).json({ error: 'Страница ещё не создана' });
+  res.json({ projectId: req.params.id, version, ...auditPage(html) });
+}));
+
+// POST /api/projects/:id/promote — { from, version? }: make a variant's page the page of this (main) project.
+// Without `version` the variant wins as a whole: its step outputs and settings replace the main project's,
+// so a rerun continues from the winner. With `version` only that page is taken over.
+app.post('/api/projects/:id/promote', asyncRoute(async (req, res) => {
+  const { from } = req.body;
+  const version = req.body.version ? parseInt(req.body.version, 10) : null;
+  if (!from) return res.status(400).json({ error: 'from required' });
+  if (from === req.params.id && !version) return res.status(400).json({ error: 'Этот вариант уже основной' });
+  if (rejectWhileRunning(req, res)) return;
+
+  const projects = await workspaceProjects(req.workspaceId);
+  const variant = projects.find(p => p.id === from);
+  if (!variant || variantRoot(projects, variant).id !== variantRoot(projects, req.project).id) {
+    return res.status(404).json({ error: 'Вариант не найден среди вариантов проекта' });
+  }
+  if (jobQueue.active(from)) return res.status(409).json({ error: 'Вариант ещё генерируется — дождитесь окончания' });
+
+  const html = version ? (await storage.getVersion(from, version))?.html : await storage.getHtml(from);
+  if (!html) return res.status(404).json({ error: version ? 'Версия не найдена' : 'У варианта нет страницы' });
+
+  if (!version) {
+    const state = await variantState(from);
+    await storage.updateMeta(req.params.id, (meta) => { Object.assign(meta, state); });
+  }
+  await storage.saveHtml(req.params.id, html, { source: 'promote', author: req.user.username });
+  const project = await storage.updateProject(req.params.id, (p) => {
+    if (!version) {
+      for (const key of FORK_FIELDS) p[key] = variant[key];
+      p.model_config = variant.model_config;
+      p.status = variant.status;
+      p.currentStep = variant.currentStep;
+    }
+    p.promoted = { from, version, by: req.user.username, at: new Date().toISOString() };
+    p.updated_at = p.promoted.at;
+  });
+  res.json({ ok: true, project });
+}));
+
+// ============ API KEYS ============
+
+// GET /api/keys?projectId=... — stored keys of the workspace (label and last 4 characters only)
+app.get('/api/keys', (req, res) => {
+  res.json(vault.listKeys({ workspaceId: req.workspaceId, projectId: req.query.projectId }));
+});
+
+// POST /api/keys — store a key for the workspace (admin), or for one project with `projectId` (editor).
+// An openai key needs `base_url`: it is only ever sent there.
+app.post('/api/keys', asyncRoute(async (req, res) => {
+  const { key, label, provider = 'openrouter', base_url: baseUrl = null, projectId = null } = req.body;
+  if (!key) return res.status(400).json({ error: 'key required' });
+  if (!PROVIDERS.includes(provider) || provider === 'replay') {
+    return res.status(400).json({ error: `Unknown LLM provider: ${provider}` });
+  }
+  if (!auth.roleAtLeast(req.role, projectId ? 'editor' : 'admin')) {
+    return res.status(403).json({ error: `Недостаточно прав: нужна роль ${projectId ? 'editor' : 'admin'}` });
+  }
+  const project = projectId && await storage.getProject(projectId);
+  if (projectId && (!project || projectWorkspace(project) !== req.workspaceId)) return res.status(404).json({ error: 'Not found' });
+
+  if (provider === 'openai' && !baseUrl) return res.status(400).json({ error: 'base_url required for openai keys' });
+
+  try {
+    res.status(201).json(vault.storeKey({ key, label, provider, baseUrl, projectId, workspaceId: req.workspaceId }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// DELETE /api/keys/:id
+app.delete('/api/keys/:id', (req, res) => {
+  const entry = vault.listKeys({ workspaceId: req.workspaceId }).find(k => k.id === req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Not found' });
+  if (!auth.roleAtLeast(req.role, entry.projectId ? 'editor' : 'admin')) {
+    return res.status(403).json({ error: `Недостаточно прав: нужна роль ${entry.projectId ? 'editor' : 'admin'}` });
+  }
+  vault.deleteKey(entry.id);
+  res.json({ ok: true });
+});
+
+// GET /api/projects/:id/api-key — which stored key the project's provider will use
+app.get('/api/projects/:id/api-key', (req, res) => {
+  const { project } = req;
+  let provider;
+  try { provider = resolveProvider(project); }
+  catch (err) { return res.status(400).json({ error: err.message }); }
+
+  const entry = vault.findKeyEntry(project, provider.name, provider.baseUrl);
+  res.json({
+    provider: provider.name,
+    baseUrl: provider.name === 'openai' ? provider.baseUrl : null,
+    needsKey: provider.needsKey,
+    scope: entry ? (entry.projectId ? 'project' : 'workspace') : null,
+    key: entry ? { id: entry.id, label: entry.label, last4: entry.last4 } : null,
+  });
+});
+
+// ============ USAGE ============
+
+// GET /api/usage?from=YYYY-MM-DD&to=YYYY-MM-DD&niche=... — tokens and cost by project, step and model
+app.get('/api/usage', asyncRoute(async (req, res) => {
+  const { from, to, niche } = req.query;
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res.status(400).json({ error: 'from/to must be ISO dates' });
+  }
+  const entries = [];
+  for (const project of await workspaceProjects(req.workspaceId)) {
+    entries.push({ project, meta: await storage.getMeta(project.id) });
+  }
+  res.json(usageReport(entries, { from, to, niche }));
+}));
+
+// ============ MODEL CONFIG ============
+
+// GET /api/model-config — global default routing (built-ins + data/model-config.json)
+app.get('/api/model-config', (req, res) => {
+  res.json({
+    builtin: models.DEFAULT_MODEL_CONFIG,
+    overrides: models.readGlobalModelConfig(),
+    effective: models.getDefaultModelConfig(),
+    labels: models.ROUTE_LABELS,
+  });
+});
+
+// PUT /api/model-config — replace global overrides (applies to every workspace, so server admin only)
+app.put('/api/model-config', auth.requireServerAdmin, (req, res) => {
+  const overrides = req.body.model_config || {};
+  const errors = models.validateModelConfig(overrides, { partial: true });
+  if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+
+  models.writeGlobalModelConfig(overrides);
+  res.json({ ok: true, effective: models.getDefaultModelConfig() });
+});
+
+// GET /api/projects/:id/model-config — project overrides on top of the global default
+app.get('/api/projects/:id/model-config', (req, res) => {
+  const { project } = req;
+  res.json({
+    defaults: models.getDefaultModelConfig(),
+    overrides: project.model_config || {},
+    effective: models.resolveModelConfig(project),
+    labels: models.ROUTE_LABELS,
+  });
+});
+
+// PUT /api/projects/:id/model-config — replace project overrides
+app.put('/api/projects/:id/model-config', asyncRoute(async (req, res) => {
+  const overrides = req.body.model_config || {};
+  const errors = models.validateModelConfig(overrides, { partial: true });
+  if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+
+  const project = await storage.updateProject(req.params.id, (p) => {
+    p.model_config = overrides;
+    p.updated_at = new Date().toISOString();
+  });
+  res.json({ ok: true, effective: models.resolveModelConfig(project) });
+}));
+
+// ============ RATING SOURCES ============
+// Hand curation of the step_8 sources (meta.extractedRatings / meta.downloadedRatings) between runs:
+// add a URL, pasted text or an HTML file, exclude or remove a source, retry a failed download.
+// Start the pipeline from step_8_extract afterwards to rebuild the consensus and refill the page.
+// A source is addressed by its name — downloadedRatings is keyed by it.
+
+const MIN_SOURCE_TEXT = 100;
+
+// Edits while a run is writing the same meta would be lost
+function rejectWhileRunning(req, res) {
+  if (!jobQueue.active(req.params.id)) return false;
+  res.status(409).json({ error: 'Пайплайн запущен — дождитесь окончания или остановите его' });
+  return true;
+}
+
+function uniqueSourceName(ratings, name) {
+  const taken = new Set(ratings.map(r => r.name));
+  if (!taken.has(name)) return name;
+  let n = 2;
+  while (taken.has(`${name} (${n})`)) n++;
+  return `${name} (${n})`;
+}
+
+function httpUrl(value) {
+  try {
+    const url = new URL(String(value || '').trim());
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch { return null; }
+}
+
+/** Append a source with its page; the name is made unique against the stored list. The page goes back for the preview */
+async function addRatingSource(projectId, rating, page) {
+  let added;
+  const meta = await storage.updateMeta(projectId, (m) => {
+    m.extractedRatings = m.extractedRatings || [];
+    m.downloadedRatings = m.downloadedRatings || {};
+    added = { ...rating, name: uniqueSourceName(m.extractedRatings, rating.name) };
+    m.extractedRatings.push(added);
+    if (page) m.downloadedRatings[added.name] = page;
+  });
+  return { rating: added, page, extractedRatings: meta.extractedRatings };
+}
+
+// Download result → rating fields (status, fetchMethod / errorReason) and the stored page
+function applyFetchResult(rating, result) {
+  if (!result.ok) return { rating: { ...rating, status: 'error', errorReason: result.error }, page: null };
+  const { errorReason, ...rest } = rating;
+  return { rating: { ...rest, status: 'done', fetchMethod: result.fetchMethod }, page: { html: result.html, text: result.text } };
+}
+
+// POST /api/projects/:id/ratings — add a source: { url, name? } is downloaded now, { text, name?, url? } is stored as is
+app.post('/api/projects/:id/ratings', asyncRoute(async (req, res) => {
+  if (rejectWhileRunning(req, res)) return;
+  const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+  const url = req.body.url ? httpUrl(req.body.url) : null;
+  if (req.body.url && !url) return res.status(400).json({ error: 'Нужен адрес http(s)://...' });
+
+  if (text) {
+    if (text.length < MIN_SOURCE_TEXT) return res.status(400).json({ error: `Слишком короткий текст (меньше ${MIN_SOURCE_TEXT} символов)` });
+    const name = String(req.body.name || '').trim() || 'Вставленный текст';
+    const rating = { name, url: url || '', source: 'text', status: 'done', fetchMethod: 'pasted' };
+    return res.status(201).json(await addRatingSource(req.params.id, rating, { html: '', text }));
+  }
+
+  if (!url) return res.status(400).json({ error: 'Укажите url или text' });
+  const name = String(req.body.name || '').trim() || new URL(url).hostname.replace(/^www\./, '');
+  const { rating, page } = applyFetchResult({ name, url, source: 'manual' }, await fetchRating(url, renderOptions(req.project)));
+  res.status(201).json(await addRatingSource(req.params.id, rating, page));
+}));
+
+// POST /api/projects/:id/ratings/upload?name=&url= — add a saved HTML page (raw bytes, any charset)
+app.post('/api/projects/:id/ratings/upload', express.raw({ type: () => true, limit: '10mb' }), asyncRoute(async (req, res) => {
+  if (rejectWhileRunning(req, res)) return;
+  if (!Buffer.isBuffer(req.body) || !req.body.length) return res.status(400).json({ error: 'Пустой файл' });
+  const url = req.query.url ? httpUrl(req.query.url) : null;
+  if (req.query.url && !url) return res.status(400).json({ error: 'Нужен адрес http(s)://...' });
+
+  const html = decodeHtml(req.body, req.get('content-type') || '');
+  const text = extractText(html, { pageUrl: url });
+  if (text.length < MIN_SOURCE_TEXT) return res.status(400).json({ error: 'В файле почти нет текста' });
+
+  const name = String(req.query.name || '').trim() || extractTitle(html).substring(0, 120) || 'Загруженный файл';
+  const rating = { name, url: url || '', source: 'file', status: 'done', fetchMethod: 'upload' };
+  res.status(201).json(await addRatingSource(req.params.id, rating, { html, text }));
+}));
+
+// PATCH /api/projects/:id/ratings/:name — { excluded: true|false }: leave a source out of extraction and fill
+app.patch('/api/projects/:id/ratings/:name', asyncRoute(async (req, res) => {
+  if (rejectWhileRunning(req, res)) return;
+  let found = false;
+  const meta = await storage.updateMeta(req.params.id, (m) => {
+    const rating = (m.extractedRatings || []).find(r => r.name === req.params.name);
+    if (!rating) return;
+    found = true;
+    if (req.body.excluded) rating.excluded = true;
+    else delete rating.excluded;
+  });
+  if (!found) return res.status(404).json({ error: 'Источник не найден' });
+  res.json({ extractedRatings: meta.extractedRatings });
+}));
+
+// DELETE /api/projects/:id/ratings/:name — remove a source and its downloaded page
+app.delete('/api/projects/:id/ratings/:name', asyncRoute(async (req, res) => {
+  if (rejectWhileRunning(req, res)) return;
+  let found = false;
+  const meta = await storage.updateMeta(req.params.id, (m) => {
+    const idx = (m.extractedRatings || []).findIndex(r => r.name === req.params.name);
+    if (idx === -1) return;
+    found = true;
+    m.extractedRatings.splice(idx, 1);
+    if (m.downloadedRatings) delete m.downloadedRatings[req.params.name];
+  });
+  if (!found) return res.status(404).json({ error: 'Источник не найден' });
+  res.json({ extractedRatings: meta.extractedRatings });
+}));
+
+// POST /api/projects/:id/ratings/:name/retry — download one source again
+app.post('/api/projects/:id/ratings/:name/retry', asyncRoute(async (req, res) => {
+  if (rejectWhileRunning(req, res)) return;
+  const { extractedRatings = [] } = await storage.getMeta(req.params.id);
+  const current = extractedRatings.find(r => r.name === req.params.name);
+  if (!current) return res.status(404).json({ error: 'Источник не найден' });
+  if (!current.url || ['text', 'file'].includes(current.source)) return res.status(400).json({ error: 'Этот источник не скачивается' });
+
+  const { rating, page } = applyFetchResult(current, await fetchRating(current.url, renderOptions(req.project)));
+  const meta = await storage.updateMeta(req.params.id, (m) => {
+    const idx = (m.extractedRatings || []).findIndex(r => r.name === rating.name);
+    if (idx === -1) return;
+    m.extractedRatings[idx] = rating;
+    m.downloadedRatings = m.downloadedRatings || {};
+    if (page) m.downloadedRatings[rating.name] = page;
+  });
+  res.json({ rating, page, extractedRatings: meta.extractedRatings });
+}));
+
+// ============ CITATIONS ============
+
+// PUT /api/projects/:id/citations/footnotes — { enabled }: "Источники" section with footnotes on the page.
+// Applied to the saved page now and to every later step_fill.
+app.put('/api/projects/:id/citations/footnotes', asyncRoute(async (req, res) => {
+  if (rejectWhileRunning(req, res)) return;
+  const enabled = Boolean(req.body.enabled);
+  const { citations } = await storage.getMeta(req.params.id);
+  if (enabled && !citations) return res.status(400).json({ error: 'Нет карты источников — запустите наполнение контентом' });
+
+  const html = await storage.getHtml(req.params.id);
+  const updated = enabled ? addFootnotes(html, citations) : removeFootnotes(html);
+  if (updated !== html) await storage.saveHtml(req.params.id, updated, { source: 'footnotes', author: req.user.username });
+  await storage.updateProject(req.params.id, (p) => {
+    p.cite_footnotes = enabled;
+    p.updated_at = new Date().toISOString();
+  });
+  res.json({ ok: true, html: updated });
+}));
+
+// ============ CONSISTENCY ============
+
+// POST /api/projects/:id/consistency — check the saved page again (after manual edits); stored as meta.consistency.recheck
+app.post('/api/projects/:id/consistency', asyncRoute(async (req, res) => {
+  const html = await storage.getHtml(req.params.id);
+  if (!html) return res.status(400).json({ error: 'Нет HTML страницы' });
+
+  let report;
+  const meta = await storage.updateMeta(req.params.id, (m) => {
+    // The user's company and the citation map only exist once the page is filled
+    const filled = Boolean(m.consistency?.step_fill);
+    report = checkConsistency(html, {
+      step: 'recheck',
+      injectionName: filled ? req.project.injection_name : '',
+      citations: filled ? m.citations : null,
     });
+    m.consistency = { ...m.consistency, recheck: report };
+  });
+  res.json({ report, consistency: meta.consistency });
+}));
+
+// ============ VERSIONS ============
+
+// GET /api/projects/:id/versions — saved versions of the page, newest first; `current` is the one on disk now
+app.get('/api/projects/:id/versions', asyncRoute(async (req, res) => {
+  const versions = await storage.listVersions(req.params.id);
+  res.json({ versions, current: versions[0]?.version || null });
+}));
+
+// GET /api/projects/:id/versions/diff?from=N&to=M — line diff between two versions (`to` defaults to the current one)
+app.get('/api/projects/:id/versions/diff', asyncRoute(async (req, res) => {
+  const versions = await storage.listVersions(req.params.id);
+  const from = parseInt(req.query.from, 10);
+  const to = req.query.to ? parseInt(req.query.to, 10) : versions[0]?.version;
+  const [before, after] = await Promise.all([from, to].map(n => (Number.isInteger(n) ? storage.getVersion(req.params.id, n) : null)));
+  if (!before || !after) return res.status(404).json({ error: 'Версия не найдена' });
+
+  const { html: beforeHtml, ...fromRecord } = before;
+  const { html: afterHtml, ...toRecord } = after;
+  res.json({ from: fromRecord, to: toRecord, ...diffHtml(beforeHtml, afterHtml) });
+}));
+
+// GET /api/projects/:id/versions/:version — html of one version (preview)
+app.get('/api/projects/:id/versions/:version', asyncRoute(async (req, res) => {
+  const version = await storage.getVersion(req.params.id, parseInt(req.params.version, 10));
+  if (!version) return res.status(404).json({ error: 'Версия не найдена' });
+  res.type('html').send(version.html);
+}));
+
+// POST /api/projects/:id/versions/:version/restore — make an old version the current page.
+// The rollback is saved as a new version, so the versions after it stay in the history.
+app.post('/api/projects/:id/versions/:version/restore', asyncRoute(async (req, res) => {
+  if (rejectWhileRunning(req, res)) return;
+  const n = parseInt(req.params.version, 10);
+  const version = await storage.getVersion(req.params.id, n);
+  if (!version) return res.status(404).json({ error: 'Версия не найдена' });
+
+  await storage.saveHtml(req.params.id, version.html, { source: 'restore', author: req.user.username, restoredFrom: n });
+  await storage.updateProject(req.params.id, (p) => { p.updated_at = new Date().toISOString(); });
+  const versions = await storage.listVersions(req.params.id);
+  res.json({ ok: true, html: version.html, versions, current: versions[0]?.version || null });
+}));
+
+// ============ PIPELINE CONTROL ============
+
+// Why a project cannot be queued now (no key, broken model config, already running): { status, body } or null
+function startBlocker(project) {
+  try { projectApiKey(project, resolveProvider(project)); }
+  catch (err) { return { status: 400, body: { error: err.message } }; }
+
+  const configErrors = models.validateModelConfig(models.resolveModelConfig(project));
+  if (configErrors.length) {
+    return { status: 400, body: { error: `Некорректная конфигурация моделей: ${configErrors.join('; ')}`, errors: configErrors } };
+  }
+
+  if (jobQueue.active(project.id)) return { status: 409, body: { error: 'Pipeline already running' } };
+  return null;
+}
 
-  runningPipelines.set(projectId, { promise: pipelinePromise });
+// POST /api/projects/:id/pipeline/start — queue pipeline (starts right away if a slot is free)
+app.post('/api/projects/:id/pipeline/start', (req, res) => {
+  const projectId = req.params.id;
+  const { startFrom } = req.body;
+
+  const blocker = startBlocker(req.project);
+  if (blocker) return res.status(blocker.status).json(blocker.body);
+
+  const job = jobQueue.enqueue({ projectId, startFrom: startFrom || null, startedBy: req.user.username });
+  const queued = job.status === 'queued';
 
-  res.json({ ok: true, message: 'Pipeline started' });
+  res.json({
+    ok: true,
+    message: queued ? 'Pipeline queued' : 'Pipeline started',
+    job: jobQueue.describe(job),
+  });
 });
 
-// POST /api/projects/:id/pipeline/stop — stop pipeline
+// POST /api/projects/:id/sections/retry — { sections?: [block id] }: regenerate sections of a page built
+// section by section (generation_mode 'sections'), all failed ones by default. Runs as a pipeline job
+// at the stage of the plan (step_6 or step_fill) and touches nothing else.
+app.post('/api/projects/:id/sections/retry', asyncRoute(async (req, res) => {
+  const { siteSections } = await storage.getMeta(req.params.id);
+  if (!siteSections?.sections?.length) return res.status(400).json({ error: 'Страница собрана не по секциям' });
+
+  const requested = Array.isArray(req.body.sections)
+    ? req.body.sections
+    : siteSections.sections.filter(s => s.status === 'error').map(s => s.id);
+  const unknown = requested.filter(id => !siteSections.sections.some(s => s.id === id));
+  if (unknown.length) return res.status(400).json({ error: `Нет таких секций: ${unknown.join(', ')}` });
+  if (!requested.length) return res.status(400).json({ error: 'Нет секций для повтора' });
+
+  const blocker = startBlocker(req.project);
+  if (blocker) return res.status(blocker.status).json(blocker.body);
+
+  const job = jobQueue.enqueue({
+    projectId: req.params.id, startFrom: siteSections.stage, sections: requested, startedBy: req.user.username,
+  });
+  res.json({ ok: true, job: jobQueue.describe(job) });
+}));
+
+// POST /api/projects/:id/pipeline/stop — stop pipeline or drop it from the queue
 app.post('/api/projects/:id/pipeline/stop', (req, res) => {
   const projectId = req.params.id;
 
-  if (!runningPipelines.has(projectId)) {
+  // For a running job, status and the pipeline_stopped event are emitted once the run has unwound
+  if (!jobQueue.cancel(projectId)) {
     return res.status(400).json({ error: 'Pipeline not running' });
   }
+  res.json({ ok: true, message: 'Pipeline stop requested' });
+});
 
-  stopPipeline();
-  runningPipelines.delete(projectId);
+// POST /api/projects/:id/llm/chat — single model call through the project's provider (UI chat, block regeneration).
+// Either `model` or a configured `route` (e.g. block_regen) from the project's model config.
+app.post('/api/projects/:id/llm/chat', asyncRoute(async (req, res) => {
+  const { model, route, messages } = req.body;
+  if ((!model && !route) || !Array.isArray(messages)) return res.status(400).json({ error: 'model or route, and messages required' });
 
-  const projects = readProjects();
-  const project = projects.find(p => p.id === projectId);
-  if (project) {
-    project.pipelineStatus = 'idle';
-    project.updated_at = new Date().toISOString();
-    writeProjects(projects);
-  }
+  const { project } = req;
+  let provider, apiKey;
+  try {
+    provider = resolveProvider(project);
+    apiKey = projectApiKey(project, provider);
+  } catch (err) { return res.status(400).json({ error: err.message }); }
 
-  emitSSE(projectId, 'pipeline_stopped', { projectId });
-  res.json({ ok: true, message: 'Pipeline stop requested' });
-});
+  const routeConfig = route && models.resolveModelConfig(project)[route];
+  if (route && (!routeConfig || !routeConfig.model)) return res.status(400).json({ error: `Unknown route: ${route}` });
+
+  // Recorded under the route name, or `ui_chat` for follow-up questions
+  const onUsage = async (record) => {
+    let totals;
+    await storage.updateMeta(project.id, (meta) => {
+      totals = recordUsage(meta, { ...record, step: route || 'ui_chat' });
+    });
+    await storage.updateProject(project.id, (p) => { p.usage_totals = totals; });
+  };
+
+  try {
+    const llm = { provider, apiKey, onUsage };
+    res.json(routeConfig ? await callRoute(routeConfig, messages, llm) : await callModel(model, messages, llm));
+  } catch (err) {
+    res.status(502).json({ error: err.message });
+  }
+}));
 
 // GET /api/projects/:id/pipeline/events — SSE stream
 app.get('/api/projects/:id/pipeline/events', (req, res) => {
@@ -305,22 +1099,44 @@ app.get('/api/projects/:id/pipeline/events', (req, res) => {
   res.flushHeaders();
 
   // Send initial status
-  const projects = readProjects();
-  const project = projects.find(p => p.id === req.params.id);
-  if (project) {
-    res.write(`event: status\ndata: ${JSON.stringify({
-      projectId: req.params.id,
-      pipelineStatus: project.pipelineStatus,
-      currentStep: project.currentStep,
-    })}\n\n`);
-  }
+  const { project } = req;
+  res.write(`event: status\ndata: ${JSON.stringify({
+    projectId: req.params.id,
+    pipelineStatus: project.pipelineStatus,
+    currentStep: project.currentStep,
+  })}\n\n`);
 
   addSSEClient(req.params.id, res);
 });
 
 // ============ SERVER ============
 
+// Errors thrown by async routes (storage failures, malformed JSON bodies)
+app.use((err, req, res, next) => {
+  const status = err.status || 500;
+  if (status >= 500) console.error(`[server] ${req.method} ${req.originalUrl}:`, err);
+  res.status(status).json({ error: err.message });
+});
+
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Сервер запущен: http://localhost:${PORT}`);
+
+async function start() {
+  await storage.init();
+  console.log(`[storage] Backend: ${storage.type}`);
+  // A corrupt jobs file stops the start here rather than losing the queue
+  jobQueue.load();
+
+  app.listen(PORT, () => {
+    console.log(`Сервер запущен: http://localhost:${PORT}`);
+
+    // Pick up jobs queued before the restart and runs the restart interrupted
+    recoverInterruptedRuns()
+      .catch(err => console.error('[pipeline] Recovery of interrupted runs failed:', err.message))
+      .finally(() => jobQueue.drain());
+  });
+}
+
+start().catch((err) => {
+  console.error('Не удалось запустить сервер:', err.message);
+  process.exit(1);
 });
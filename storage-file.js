@@ -0,0 +1,277 @@
+/**
+ * File storage backend: data/projects.json holds the project list,
+ * data/projects/<id>.meta.json and <id>.html hold pipeline state and the generated site,
+ * <id>.versions.json and <id>.versions/<n>.html its version history (versions.js).
+ *
+ * Safety:
+ *   - every write goes to a temp file that is fsynced and renamed over the target, so a crash
+ *     leaves either the old or the new version, never a torn file
+ *   - every file has a mutex: read-modify-write (updateProject, updateMeta) holds it for the whole cycle
+ *   - the previous version of projects.json is kept as projects.json.bak
+ *   - a file that does not parse is an error (CorruptFileError), never an empty list
+ * The mutex is in-process: run one server per data directory.
+ * The sync variants of the atomic write and the JSON read serve the small data/*.json stores
+ * (accounts, keys, model config, job queue), which read and write synchronously.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { nextVersion, lastExpiredVersion } = require('./versions');
+
+class CorruptFileError extends Error {
+  constructor(file, cause) {
+    super(`Файл повреждён: ${file} (${cause.message})`);
+    this.name = 'CorruptFileError';
+    this.file = file;
+  }
+}
+
+// ============ ATOMIC WRITES & LOCKS ============
+
+async function writeFileAtomic(file, data) {
+  const tmp = `${file}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  const handle = await fs.promises.open(tmp, 'w');
+  try {
+    await handle.writeFile(data, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fs.promises.rename(tmp, file);
+  } catch (err) {
+    await fs.promises.unlink(tmp).catch(() => {});
+    throw err;
+  }
+}
+
+function writeFileAtomicSync(file, data, { mode = 0o666 } = {}) {
+  const tmp = `${file}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  const fd = fs.openSync(tmp, 'w', mode);
+  try {
+    fs.writeFileSync(fd, data, 'utf8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    try { fs.unlinkSync(tmp); } catch {}
+    throw err;
+  }
+}
+
+// Map: file path → tail of its operation queue
+const locks = new Map();
+
+/** Run fn with exclusive access to `file`; callers queue up in order */
+function withLock(file, fn) {
+  const previous = locks.get(file) || Promise.resolve();
+  const result = previous.then(fn);
+  const tail = result.catch(() => {});
+  locks.set(file, tail);
+  tail.then(() => { if (locks.get(file) === tail) locks.delete(file); });
+  return result;
+}
+
+/** Parsed JSON, `fallback` when the file does not exist, CorruptFileError when it does not parse */
+async function readJsonFile(file, fallback) {
+  let text;
+  try { text = await fs.promises.readFile(file, 'utf8'); }
+  catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw err;
+  }
+  try { return JSON.parse(text); }
+  catch (err) { throw new CorruptFileError(file, err); }
+}
+
+function readJsonFileSync(file, fallback) {
+  let text;
+  try { text = fs.readFileSync(file, 'utf8'); }
+  catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw err;
+  }
+  try { return JSON.parse(text); }
+  catch (err) { throw new CorruptFileError(file, err); }
+}
+
+// ============ BACKEND ============
+
+function createFileStorage({ dataDir = path.join(__dirname, 'data') } = {}) {
+  const projectsFile = path.join(dataDir, 'projects.json');
+  const projectsDir = path.join(dataDir, 'projects');
+  const metaFile = (id) => path.join(projectsDir, `${id}.meta.json`);
+  const htmlFile = (id) => path.join(projectsDir, `${id}.html`);
+  const versionsFile = (id) => path.join(projectsDir, `${id}.versions.json`);
+  const versionsDir = (id) => path.join(projectsDir, `${id}.versions`);
+  const versionFile = (id, version) => path.join(versionsDir(id), `${version}.html`);
+
+  async function readProjects() {
+    const projects = await readJsonFile(projectsFile, []);
+    if (!Array.isArray(projects)) throw new CorruptFileError(projectsFile, new Error('ожидался массив проектов'));
+    return projects;
+  }
+
+  async function writeProjects(projects) {
+    await fs.promises.copyFile(projectsFile, `${projectsFile}.bak`).catch(() => {});
+    await writeFileAtomic(projectsFile, JSON.stringify(projects, null, 2));
+  }
+
+  const readMeta = (id) => readJsonFile(metaFile(id), {});
+  const writeMeta = (id, meta) => writeFileAtomic(metaFile(id), JSON.stringify(meta));
+  const readVersions = (id) => readJsonFile(versionsFile(id), []);
+
+  return {
+    type: 'file',
+
+    /** Refuses to start on corrupt files instead of serving an empty or partial project list */
+    async init() {
+      await fs.promises.mkdir(projectsDir, { recursive: true });
+
+      const corrupt = [];
+      try { await readProjects(); }
+      catch (err) { if (err instanceof CorruptFileError) corrupt.push(err.message); else throw err; }
+
+      for (const file of await fs.promises.readdir(projectsDir)) {
+        if (!file.endsWith('.meta.json')) continue;
+        try { await readJsonFile(path.join(projectsDir, file), {}); }
+        catch (err) { if (err instanceof CorruptFileError) corrupt.push(err.message); else throw err; }
+      }
+
+      if (corrupt.length) {
+        throw new Error(`${corrupt.join('\n')}\nВосстановите файлы (для projects.json есть копия projects.json.bak) и перезапустите сервер`);
+      }
+    },
+
+    async close() {},
+
+    // ============ PROJECTS ============
+
+    listProjects() {
+      return readProjects();
+    },
+
+    async getProject(id) {
+      return (await readProjects()).find(p => p.id === id) || null;
+    },
+
+    createProject(project) {
+      return withLock(projectsFile, async () => {
+        const projects = await readProjects();
+        projects.push(project);
+        await writeProjects(projects);
+        return project;
+      });
+    },
+
+    updateProject(id, mutate) {
+      return withLock(projectsFile, async () => {
+        const projects = await readProjects();
+        const project = projects.find(p => p.id === id);
+        if (!project) return null;
+        mutate(project);
+        await writeProjects(projects);
+        return project;
+      });
+    },
+
+    async deleteProject(id) {
+      const deleted = await withLock(projectsFile, async () => {
+        const projects = await readProjects();
+        const idx = projects.findIndex(p => p.id === id);
+        if (idx === -1) return false;
+        projects.splice(idx, 1);
+        await writeProjects(projects);
+        return true;
+      });
+      if (deleted) {
+        await withLock(metaFile(id), () => fs.promises.unlink(metaFile(id)).catch(() => {}));
+        await withLock(htmlFile(id), async () => {
+          await fs.promises.unlink(htmlFile(id)).catch(() => {});
+          await fs.promises.unlink(versionsFile(id)).catch(() => {});
+          await fs.promises.rm(versionsDir(id), { recursive: true, force: true });
+        });
+      }
+      return deleted;
+    },
+
+    // ============ META / HTML ============
+
+    getMeta(id) {
+      return readMeta(id);
+    },
+
+    saveMeta(id, meta) {
+      return withLock(metaFile(id), () => writeMeta(id, meta));
+    },
+
+    updateMeta(id, mutate) {
+      return withLock(metaFile(id), async () => {
+        const meta = await readMeta(id);
+        mutate(meta);
+        await writeMeta(id, meta);
+        return meta;
+      });
+    },
+
+    async getHtml(id) {
+      try { return await fs.promises.readFile(htmlFile(id), 'utf8'); }
+      catch (err) {
+        if (err.code === 'ENOENT') return '';
+        throw err;
+      }
+    },
+
+    /** The page and its version (versions.js) are written under one lock: the history always ends with the saved page */
+    saveHtml(id, html, version = {}) {
+      return withLock(htmlFile(id), async () => {
+        const versions = await readVersions(id);
+        const add = async (pageHtml, fields) => {
+          const next = nextVersion(versions[versions.length - 1] || null, pageHtml, fields);
+          if (!next) return;
+          await fs.promises.mkdir(versionsDir(id), { recursive: true });
+          await writeFileAtomic(versionFile(id, next.record.version), pageHtml);
+          if (next.replace) versions[versions.length - 1] = next.record;
+          else versions.push(next.record);
+        };
+
+        if (!versions.length) {
+          const previous = await fs.promises.readFile(htmlFile(id), 'utf8').catch(() => '');
+          if (previous) await add(previous, { source: 'legacy' });
+        }
+        await writeFileAtomic(htmlFile(id), html);
+        await add(html, version);
+
+        // Past MAX_VERSIONS the oldest go: the list first, so a crash leaves stray files, never records without one
+        const expired = lastExpiredVersion(versions[versions.length - 1]?.version || 0);
+        await writeFileAtomic(versionsFile(id), JSON.stringify(versions.filter(v => v.version > expired)));
+        for (const v of versions.filter(v => v.version <= expired)) {
+          await fs.promises.unlink(versionFile(id, v.version)).catch(() => {});
+        }
+      });
+    },
+
+    // ============ VERSIONS ============
+
+    /** Version records, newest first */
+    async listVersions(id) {
+      return (await readVersions(id)).reverse();
+    },
+
+    async getVersion(id, version) {
+      const record = (await readVersions(id)).find(v => v.version === version);
+      if (!record) return null;
+      try { return { ...record, html: await fs.promises.readFile(versionFile(id, version), 'utf8') }; }
+      catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+  };
+}
+
+module.exports = { createFileStorage, CorruptFileError, writeFileAtomic, writeFileAtomicSync, readJsonFileSync };
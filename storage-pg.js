@@ -0,0 +1,242 @@
+/**
+ * PostgreSQL storage backend.
+ * Schema lives in migrations/*.sql, applied in file-name order on init() and tracked in schema_migrations.
+ * Read-modify-write runs in a transaction with the row locked (SELECT ... FOR UPDATE).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const { nextVersion, lastExpiredVersion } = require('./versions');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary key for pg_advisory_lock — keeps two servers from migrating at once
+const MIGRATION_LOCK_ID = 7262001;
+
+function createPgStorage({ connectionString = process.env.DATABASE_URL } = {}) {
+  if (!connectionString) throw new Error('STORAGE=postgres requires DATABASE_URL');
+  const pool = new Pool({ connectionString });
+
+  async function transaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function migrate() {
+    const client = await pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+      await client.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )`);
+      const { rows } = await client.query('SELECT version FROM schema_migrations');
+      const applied = new Set(rows.map(r => r.version));
+
+      const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql')).sort();
+      for (const file of files) {
+        if (applied.has(file)) continue;
+        await client.query('BEGIN');
+        try {
+          await client.query(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+          await client.query('INSERT INTO schema_migrations (version) VALUES ($1)', [file]);
+          await client.query('COMMIT');
+          console.log(`[storage] Migration applied: ${file}`);
+        } catch (err) {
+          await client.query('ROLLBACK');
+          throw new Error(`Migration ${file} failed: ${err.message}`);
+        }
+      }
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+      client.release();
+    }
+  }
+
+  async function writeProject(client, project) {
+    await client.query(
+      `INSERT INTO projects (id, workspace_id, data, created_at, updated_at)
+       VALUES ($1, $2, $3, COALESCE($4::timestamptz, now()), COALESCE($5::timestamptz, now()))
+       ON CONFLICT (id) DO UPDATE SET workspace_id = EXCLUDED.workspace_id, data = EXCLUDED.data, updated_at = EXCLUDED.updated_at`,
+      [project.id, project.workspace_id || 'default', project, project.created_at || null, project.updated_at || null],
+    );
+  }
+
+  async function writeMeta(client, id, meta) {
+    await client.query(
+      `INSERT INTO project_meta (project_id, data) VALUES ($1, $2)
+       ON CONFLICT (project_id) DO UPDATE SET data = EXCLUDED.data`,
+      [id, meta],
+    );
+  }
+
+  async function writeHtml(client, id, html) {
+    await client.query(
+      `INSERT INTO project_html (project_id, html) VALUES ($1, $2)
+       ON CONFLICT (project_id) DO UPDATE SET html = EXCLUDED.html`,
+      [id, html],
+    );
+  }
+
+  async function writeVersion(client, id, html, version) {
+    const { rows } = await client.query(
+      'SELECT data FROM project_html_versions WHERE project_id = $1 ORDER BY version DESC LIMIT 1', [id],
+    );
+    const next = nextVersion(rows[0]?.data || null, html, version);
+    if (!next) return;
+    // Only a merged editor save rewrites a version; a new one is a plain INSERT, so a numbering bug fails
+    // on the primary key instead of overwriting history
+    if (next.replace) {
+      await client.query(
+        'UPDATE project_html_versions SET html = $3, data = $4, created_at = $5 WHERE project_id = $1 AND version = $2',
+        [id, next.record.version, html, next.record, next.record.created_at],
+      );
+    } else {
+      await client.query(
+        'INSERT INTO project_html_versions (project_id, version, html, data, created_at) VALUES ($1, $2, $3, $4, $5)',
+        [id, next.record.version, html, next.record, next.record.created_at],
+      );
+    }
+    // Past MAX_VERSIONS the oldest go (versions.js)
+    const expired = lastExpiredVersion(next.record.version);
+    if (expired) await client.query('DELETE FROM project_html_versions WHERE project_id = $1 AND version <= $2', [id, expired]);
+  }
+
+  return {
+    type: 'postgres',
+
+    init: migrate,
+
+    close: () => pool.end(),
+
+    // ============ PROJECTS ============
+
+    async listProjects() {
+      const { rows } = await pool.query('SELECT data FROM projects ORDER BY created_at, id');
+      return rows.map(r => r.data);
+    },
+
+    async getProject(id) {
+      const { rows } = await pool.query('SELECT data FROM projects WHERE id = $1', [id]);
+      return rows[0]?.data || null;
+    },
+
+    async createProject(project) {
+      await pool.query(
+        'INSERT INTO projects (id, workspace_id, data, created_at, updated_at) VALUES ($1, $2, $3, $4, $5)',
+        [project.id, project.workspace_id || 'default', project, project.created_at, project.updated_at],
+      );
+      return project;
+    },
+
+    updateProject(id, mutate) {
+      return transaction(async (client) => {
+        const { rows } = await client.query('SELECT data FROM projects WHERE id = $1 FOR UPDATE', [id]);
+        if (!rows.length) return null;
+        const project = rows[0].data;
+        mutate(project);
+        await writeProject(client, project);
+        return project;
+      });
+    },
+
+    deleteProject(id) {
+      return transaction(async (client) => {
+        const { rowCount } = await client.query('DELETE FROM projects WHERE id = $1', [id]);
+        await client.query('DELETE FROM project_meta WHERE project_id = $1', [id]);
+        await client.query('DELETE FROM project_html WHERE project_id = $1', [id]);
+        await client.query('DELETE FROM project_html_versions WHERE project_id = $1', [id]);
+        return rowCount > 0;
+      });
+    },
+
+    // ============ META / HTML ============
+
+    async getMeta(id) {
+      const { rows } = await pool.query('SELECT data FROM project_meta WHERE project_id = $1', [id]);
+      return rows[0]?.data || {};
+    },
+
+    saveMeta(id, meta) {
+      return writeMeta(pool, id, meta);
+    },
+
+    updateMeta(id, mutate) {
+      return transaction(async (client) => {
+        // Lock the row, creating an empty one first so concurrent first writes also serialize
+        await client.query(`INSERT INTO project_meta (project_id) VALUES ($1) ON CONFLICT DO NOTHING`, [id]);
+        const { rows } = await client.query('SELECT data FROM project_meta WHERE project_id = $1 FOR UPDATE', [id]);
+        const meta = rows[0].data;
+        mutate(meta);
+        await writeMeta(client, id, meta);
+        return meta;
+      });
+    },
+
+    async getHtml(id) {
+      const { rows } = await pool.query('SELECT html FROM project_html WHERE project_id = $1', [id]);
+      return rows[0]?.html || '';
+    },
+
+    // The project_html row is locked first, so concurrent saves number their versions in turn.
+    // It is created empty when missing (as in updateMeta): a first save has a row to lock too.
+    saveHtml(id, html, version = {}) {
+      return transaction(async (client) => {
+        await client.query(`INSERT INTO project_html (project_id, html) VALUES ($1, '') ON CONFLICT DO NOTHING`, [id]);
+        const { rows } = await client.query('SELECT html FROM project_html WHERE project_id = $1 FOR UPDATE', [id]);
+        const { rowCount } = await client.query('SELECT 1 FROM project_html_versions WHERE project_id = $1 LIMIT 1', [id]);
+        // The page saved before the project had a history becomes its first version
+        if (rows[0]?.html && !rowCount) await writeVersion(client, id, rows[0].html, { source: 'legacy' });
+        await writeHtml(client, id, html);
+        await writeVersion(client, id, html, version);
+      });
+    },
+
+    // ============ VERSIONS ============
+
+    async listVersions(id) {
+      const { rows } = await pool.query(
+        'SELECT data FROM project_html_versions WHERE project_id = $1 ORDER BY version DESC', [id],
+      );
+      return rows.map(r => r.data);
+    },
+
+    async getVersion(id, version) {
+      const { rows } = await pool.query(
+        'SELECT data, html FROM project_html_versions WHERE project_id = $1 AND version = $2', [id, version],
+      );
+      return rows[0] ? { ...rows[0].data, html: rows[0].html } : null;
+    },
+
+    // ============ IMPORT ============
+
+    /** Upsert a project with its meta, html and versions ([{ ...record, html }]) in one transaction (used by import-to-postgres.js) */
+    importProject({ project, meta, html, versions = [] }) {
+      return transaction(async (client) => {
+        await writeProject(client, project);
+        if (meta && Object.keys(meta).length) await writeMeta(client, project.id, meta);
+        if (html) await writeHtml(client, project.id, html);
+        for (const { html: versionHtml, ...record } of versions) {
+          await client.query(
+            `INSERT INTO project_html_versions (project_id, version, html, data, created_at) VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (project_id, version) DO UPDATE SET html = EXCLUDED.html, data = EXCLUDED.data`,
+            [project.id, record.version, versionHtml, record, record.created_at],
+          );
+        }
+      });
+    },
+  };
+}
+
+module.exports = { createPgStorage };
@@ -0,0 +1,38 @@
+/**
+ * Project storage.
+ * One async repository interface over two backends, picked with STORAGE:
+ *   file     — data/projects.json + data/projects/<id>.meta.json / <id>.html (default)
+ *   postgres — tables from migrations/*.sql, connection from DATABASE_URL
+ *
+ * Interface:
+ *   init() / close()
+ *   listProjects() → [project]
+ *   getProject(id) → project | null
+ *   createProject(project)
+ *   updateProject(id, mutate) → project | null — mutate(project) runs inside a transaction
+ *   deleteProject(id) → boolean, removes meta and html too
+ *   getMeta(id) → meta ({} when none) / saveMeta(id, meta)
+ *   updateMeta(id, mutate) → meta — read-modify-write inside a transaction
+ *   getHtml(id) → html ('' when none) / saveHtml(id, html, { source, author, restoredFrom }?) — also records a version
+ *   listVersions(id) → [version record], newest first / getVersion(id, n) → { ...record, html } | null (versions.js)
+ *
+ * Read-modify-write goes through updateProject/updateMeta so concurrent writers
+ * (pipeline runs, API routes) never overwrite each other's changes.
+ */
+
+const BACKENDS = {
+  file: () => require('./storage-file').createFileStorage(),
+  postgres: () => require('./storage-pg').createPgStorage(),
+};
+
+function createStorage(type = process.env.STORAGE || 'file') {
+  const backend = BACKENDS[type === 'pg' ? 'postgres' : type];
+  if (!backend) throw new Error(`Unknown storage backend: ${type}`);
+  return backend();
+}
+
+// Shared instance for the server and the pipeline
+const storage = createStorage();
+
+module.exports = storage;
+module.exports.createStorage = createStorage;
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergeCompanyLists, parseModelList } = require('../companies');
+
+const list = (source, companies) => ({ source: { name: source }, companies: companies.map((c, i) => ({ position: i + 1, ...c })) });
+
+test('mergeCompanyLists matches companies by their own site domain', () => {
+  const rows = mergeCompanyLists([
+    list('A', [{ name: 'Альфа Сервис', url: 'https://alfa.ru/' }]),
+    list('B', [{ name: 'Alfa Service', url: 'https://www.alfa.ru/contacts' }]),
+  ]);
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].sources, 2);
+});
+
+test('mergeCompanyLists keeps companies apart that only share a social host', () => {
+  const rows = mergeCompanyLists([
+    list('A', [{ name: 'Цветы Маши', url: 'https://vk.com/cvety_mashi' }, { name: 'Букет Плюс', url: 'https://vk.com/buketplus' }]),
+    list('B', [{ name: 'Букет Плюс', url: 'https://vk.com/buketplus/' }, { name: 'Роза Ветров', url: 'https://t.me/' }]),
+  ]);
+  assert.deepStrictEqual(rows.map(r => r.name).sort(), ['Букет Плюс', 'Роза Ветров', 'Цветы Маши']);
+  assert.strictEqual(rows.find(r => r.name === 'Букет Плюс').sources, 2);
+});
+
+test('parseModelList takes the company list, not a longer criteria list after it', () => {
+  const text = [
+    'Лучшие компании:',
+    '1. Альфа — быстрая доставка',
+    '2. Бета — большой ассортимент',
+    '',
+    'Критерии выбора:',
+    '1. Цена',
+    '2. Качество',
+    '3. Сервис',
+  ].join('\n');
+  assert.deepStrictEqual(parseModelList(text).map(c => c.name), ['Альфа', 'Бета']);
+});
+
+test('parseModelList prefers the run whose items carry sites', () => {
+  const text = [
+    '1. Как мы выбирали',
+    '2. Что важно',
+    '',
+    '1. **Альфа** — alfa.ru',
+    '2. **Бета** — https://beta.ru',
+    '3. **Гамма** (gamma.ru)',
+    '   1. Доставка за час',
+    '   2. Скидки',
+  ].join('\n');
+  const companies = parseModelList(text);
+  assert.deepStrictEqual(companies.map(c => [c.position, c.name, c.url]),
+    [[1, 'Альфа', 'https://alfa.ru/'], [2, 'Бета', 'https://beta.ru/'], [3, 'Гамма', 'https://gamma.ru/']]);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCrawler } = require('../crawler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cache file of `size` bytes last written `ageMs` ago
+function cacheEntry(dir, name, size, ageMs) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, 'x'.repeat(size));
+  const at = new Date(Date.now() - ageMs);
+  fs.utimesSync(file, at, at);
+}
+
+test('pruneCache drops expired entries, then the oldest until the cache fits', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  cacheEntry(dir, 'expired.json', 10, 40 * DAY_MS);
+  cacheEntry(dir, 'old.json', 100, 3 * DAY_MS);
+  cacheEntry(dir, 'recent.json', 100, 2 * DAY_MS);
+  cacheEntry(dir, 'fresh.json', 100, 1000);
+
+  const crawler = createCrawler({ cacheDir: dir, cacheMaxAgeMs: 30 * DAY_MS, cacheMaxBytes: 250 });
+  assert.deepStrictEqual(await crawler.pruneCache(), { removed: 2, bytes: 200 });
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['fresh.json', 'recent.json']);
+});
+
+test('pruneCache on a cache that was never written', async () => {
+  const crawler = createCrawler({ cacheDir: path.join(os.tmpdir(), 'http-cache-missing-dir') });
+  assert.deepStrictEqual(await crawler.pruneCache(), { removed: 0, bytes: 0 });
+});
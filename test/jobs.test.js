@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueue } = require('../jobs');
+const { CorruptFileError } = require('../storage-file');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'jobs.json');
+}
+
+test('the jobs file never holds an API key', (t) => {
+  const file = tempFile(t);
+  fs.writeFileSync(file, JSON.stringify([{ id: 'j1', projectId: 'p1', status: 'queued', createdAt: '2026-01-01T00:00:00Z', apiKey: 'sk-or-secret' }]));
+
+  const queue = new JobQueue({ runJob: () => new Promise(() => {}), file }).load();
+  queue.update(queue.jobs[0], { apiKey: 'sk-or-again' });
+  assert.doesNotMatch(fs.readFileSync(file, 'utf8'), /sk-or/);
+});
+
+test('a corrupt jobs file fails the load and stays on disk', (t) => {
+  const file = tempFile(t);
+  fs.writeFileSync(file, '[{"id": "j1", "status": "que');
+
+  assert.throws(() => new JobQueue({ runJob: async () => {}, file }).load(), CorruptFileError);
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), '[{"id": "j1", "status": "que');
+});
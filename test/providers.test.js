@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { resolveProvider } = require('../providers');
+
+// OpenAI-compatible endpoint that streams `chunks` as server-sent events
+function streamingServer(chunks) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (d) => { body += d; });
+    req.on('end', () => {
+      server.lastBody = JSON.parse(body);
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const chunk of chunks) res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+      res.end('data: [DONE]\n\n');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('a streamed answer reaches onDelta piece by piece and comes back whole', async (t) => {
+  const server = await streamingServer([
+    { model: 'm-1', choices: [{ delta: { content: '<html>' } }] },
+    { model: 'm-1', choices: [{ delta: { content: '</html>' }, finish_reason: 'stop' }] },
+    { model: 'm-1', choices: [], usage: { prompt_tokens: 5, completion_tokens: 2 } },
+  ]);
+  t.after(() => server.close());
+
+  const provider = resolveProvider({ llm_provider: 'openai', llm_base_url: `http://127.0.0.1:${server.address().port}` });
+  const pieces = [];
+  const result = await provider.chat({ model: 'm', messages: [{ role: 'user', content: 'hi' }], onDelta: (text) => pieces.push(text) });
+
+  assert.strictEqual(server.lastBody.stream, true);
+  assert.deepStrictEqual(pieces, ['<html>', '</html>']);
+  assert.strictEqual(result.content, '<html></html>');
+  assert.strictEqual(result.finishReason, 'stop');
+  assert.strictEqual(result.servedModel, 'm-1');
+  assert.deepStrictEqual(result.usage, { prompt_tokens: 5, completion_tokens: 2 });
+});
+
+test('an error chunk in the stream fails the call', async (t) => {
+  const server = await streamingServer([
+    { choices: [{ delta: { content: 'Нача' } }] },
+    { error: { message: 'provider overloaded' } },
+  ]);
+  t.after(() => server.close());
+
+  const provider = resolveProvider({ llm_provider: 'openai', llm_base_url: `http://127.0.0.1:${server.address().port}` });
+  const result = await provider.chat({ model: 'm', messages: [], onDelta: () => {} });
+  assert.match(result.error, /provider overloaded/);
+});
@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fragmentText } = require('../readability');
+
+test('fragmentText decodes entities instead of dropping them', () => {
+  assert.strictEqual(fragmentText('<p>Компания &laquo;Альфа&raquo; &mdash; от 5&nbsp;000&nbsp;&#8381;</p>'), 'Компания «Альфа» — от 5 000 ₽');
+  assert.strictEqual(fragmentText('<b>Цены</b>&amp;<i>отзывы</i>'), 'Цены & отзывы');
+});
+
+test('fragmentText leaves out scripts and styles and keeps button text', () => {
+  assert.strictEqual(fragmentText('<div><style>.a{}</style>Альфа<script>var x = 1;</script> <button>На сайт</button></div>'), 'Альфа На сайт');
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fillCompanies, setItemList } = require('../sections');
+
+const planned = ['Альфа Ремонт', 'Бета Строй', 'Гамма Дом', 'Дельта Мастер', 'Эпсилон', 'Зета Плюс']
+  .map((name, i) => ({ rank: i + 1, name, url: `https://company${i + 1}.ru` }));
+
+test('fillCompanies keeps the planned companies when the consensus is empty', () => {
+  const companies = fillCompanies('Наша Компания', [], planned);
+  assert.strictEqual(companies.length, planned.length);
+  assert.strictEqual(companies[0].name, 'Наша Компания');
+  assert.deepStrictEqual(companies.slice(1).map(c => c.name), planned.slice(0, 5).map(c => c.name));
+  assert.deepStrictEqual(companies.map(c => c.rank), [1, 2, 3, 4, 5, 6]);
+
+  const html = setItemList('<html><head></head><body></body></html>', companies);
+  const list = JSON.parse(html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+  assert.strictEqual(list.itemListElement.length, planned.length);
+});
+
+test('fillCompanies puts the consensus first and tops it up from the plan', () => {
+  const consensus = [{ name: 'Гамма Дом', url: 'https://gamma.ru' }, { name: 'Новая Фирма', url: null }];
+  const companies = fillCompanies('', consensus, planned);
+  assert.deepStrictEqual(companies.map(c => c.name),
+    ['Гамма Дом', 'Новая Фирма', 'Альфа Ремонт', 'Бета Строй', 'Дельта Мастер', 'Эпсилон']);
+});
+
+test('fillCompanies takes the user company out of the consensus and keeps its url', () => {
+  const consensus = [{ name: 'Альфа Ремонт', url: 'https://alfa.ru' }, { name: 'ООО «Наша Компания»', url: 'https://our.ru' }];
+  const companies = fillCompanies('Наша Компания', consensus);
+  assert.deepStrictEqual(companies.map(c => [c.name, c.url]), [['Наша Компания', 'https://our.ru'], ['Альфа Ремонт', 'https://alfa.ru']]);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStorage, CorruptFileError, writeFileAtomicSync, readJsonFileSync } = require('../storage-file');
+const { MAX_VERSIONS } = require('../versions');
+
+test('readJsonFileSync: fallback for a missing file, CorruptFileError for one that does not parse', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'users.json');
+
+  assert.deepStrictEqual(readJsonFileSync(file, []), []);
+  fs.writeFileSync(file, '[{"id": "u1"');
+  assert.throws(() => readJsonFileSync(file, []), CorruptFileError);
+});
+
+test('writeFileAtomicSync replaces the file and leaves no temp files behind', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'keys.json');
+
+  writeFileAtomicSync(file, '[1]', { mode: 0o600 });
+  writeFileAtomicSync(file, '[1,2]', { mode: 0o600 });
+  assert.deepStrictEqual(readJsonFileSync(file, []), [1, 2]);
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['keys.json']);
+});
+
+test('saveHtml keeps the MAX_VERSIONS latest versions and deletes the older pages', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storage = createFileStorage({ dataDir: dir });
+  await storage.init();
+
+  for (let i = 1; i <= MAX_VERSIONS + 2; i++) await storage.saveHtml('p1', `<html>${i}</html>`, { source: 'step_fill' });
+  const versions = await storage.listVersions('p1');
+  assert.strictEqual(versions.length, MAX_VERSIONS);
+  assert.strictEqual(versions[versions.length - 1].version, 3);
+  assert.strictEqual(await storage.getVersion('p1', 2), null);
+  assert.strictEqual(fs.readdirSync(path.join(dir, 'projects', 'p1.versions')).length, MAX_VERSIONS);
+});
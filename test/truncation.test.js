@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { htmlDocumentComplete, htmlDocument } = require('../truncation');
+
+const page = '<!DOCTYPE html>\n<html lang="ru"><body><h1>Рейтинг</h1></body></html>';
+
+test('htmlDocumentComplete accepts a remark after </html> and htmlDocument trims it', () => {
+  const answer = '```html\n' + page + '\n```\nГотово: страница собрана по всем разделам.';
+  assert.strictEqual(htmlDocumentComplete(answer), true);
+  assert.strictEqual(htmlDocument(answer), page);
+  assert.strictEqual(htmlDocument('```html\n' + page + '\n```'), page);
+});
+
+test('htmlDocumentComplete wants the </html> of the last document', () => {
+  assert.strictEqual(htmlDocumentComplete('<!DOCTYPE html>\n<html><body><h1>Рейтинг</h1><p>Компа'), false);
+  assert.strictEqual(htmlDocumentComplete(page + '\nИсправленный вариант:\n<html><body><p>Компа'), false);
+});
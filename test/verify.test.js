@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { verdictOf } = require('../verify');
+
+test('verdictOf calls a domain invented only on a confirmed NXDOMAIN', () => {
+  assert.strictEqual(verdictOf({ ok: false, code: 'ENOTFOUND', nxdomain: true }), 'invented');
+  assert.strictEqual(verdictOf({ ok: false, code: 'ENOTFOUND' }), 'unreachable');
+  assert.strictEqual(verdictOf({ ok: false, code: 'EAI_AGAIN' }), 'unreachable');
+  assert.strictEqual(verdictOf({ ok: false, error: 'таймаут 15с' }), 'unreachable');
+});
+
+test('verdictOf reports a domain from the rating sources as unreachable, never invented', () => {
+  assert.strictEqual(verdictOf({ ok: false, code: 'ENOTFOUND', nxdomain: true }, { sourced: true }), 'unreachable');
+});
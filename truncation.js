@@ -0,0 +1,61 @@
+/**
+ * Truncated answers of the long HTML steps (step_6, step_fill).
+ * An answer is cut when the API reports finish_reason "length" or when the step's own completeness
+ * check fails (a page without </html>, a section without its </section>). The pipeline then asks the
+ * same model to go on from where it stopped, up to MAX_CONTINUATIONS times, and stitches the parts.
+ * A page that is still cut after that fails the step — a broken document is never saved.
+ */
+
+const MAX_CONTINUATIONS = 3;
+
+// A continuation often starts by repeating the last line it saw
+const MAX_OVERLAP = 2000;
+const MIN_OVERLAP = 16;
+
+const CONTINUE_PROMPT = 'Твой ответ оборвался на лимите длины. Продолжи ровно с того символа, на котором он остановился: '
+  + 'не повторяй уже написанное и не начинай документ заново. Без пояснений и без ```.';
+
+/** Model answer without the ``` code fences around it (shared with contracts.js) */
+function stripFences(content) {
+  return (content || '').trim().replace(/^```[\w-]*\s*\n?/, '').replace(/\n?```\s*$/, '').trim();
+}
+
+// Offset right after the </html> that closes the last <html> of the text, -1 when there is none
+function documentEnd(text) {
+  const opens = [...text.matchAll(/<html\b/gi)];
+  const close = /<\/html\s*>/gi;
+  close.lastIndex = opens.length ? opens[opens.length - 1].index : 0;
+  const m = close.exec(text);
+  return m ? m.index + m[0].length : -1;
+}
+
+/** Whole HTML document: its </html> is there. A remark the model adds after it does not make the page cut */
+function htmlDocumentComplete(content) {
+  return documentEnd(stripFences(content)) !== -1;
+}
+
+/** HTML page of an answer: without the fences and without whatever follows </html> */
+function htmlDocument(content) {
+  const text = stripFences(content);
+  const end = documentEnd(text);
+  return end === -1 ? text : text.substring(0, end);
+}
+
+/** `complete(content)` — the step's completeness check, optional */
+function isTruncated({ content, finishReason }, complete) {
+  return finishReason === 'length' || Boolean(complete && !complete(content));
+}
+
+/** Answer so far + its continuation, without the repeated overlap and the continuation's opening fence */
+function stitchContinuation(head, tail) {
+  const next = (tail || '').replace(/^\s*```[\w-]*[ \t]*\n/, '');
+  // The model started the document over instead of continuing: the new attempt replaces the old one
+  if (/^\s*(<!DOCTYPE|<html\b)/i.test(next) && /<html\b/i.test(head)) return next;
+
+  for (let k = Math.min(MAX_OVERLAP, head.length, next.length); k >= MIN_OVERLAP; k--) {
+    if (head.endsWith(next.substring(0, k))) return head + next.substring(k);
+  }
+  return head + next;
+}
+
+module.exports = { MAX_CONTINUATIONS, CONTINUE_PROMPT, stripFences, htmlDocumentComplete, htmlDocument, isTruncated, stitchContinuation };
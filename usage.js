@@ -0,0 +1,86 @@
+/**
+ * Token usage and cost accounting.
+ * Every model call is recorded in meta.usage.calls; meta.usage.byStep and project.usage_totals
+ * are running aggregates kept next to it so the dashboard does not have to read meta.
+ */
+
+function emptyTotals() {
+  return { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: 0, latency_ms: 0 };
+}
+
+function addToTotals(totals, record) {
+  totals.calls += 1;
+  totals.prompt_tokens += record.prompt_tokens || 0;
+  totals.completion_tokens += record.completion_tokens || 0;
+  totals.total_tokens += record.total_tokens || 0;
+  totals.cost += record.cost || 0;
+  totals.latency_ms += record.latency_ms || 0;
+  return totals;
+}
+
+/**
+ * Build a usage record from a provider result.
+ * `cost` stays null when the provider does not report it.
+ */
+function usageRecord({ step, model, usage, latency_ms }) {
+  const prompt = usage?.prompt_tokens || 0;
+  const completion = usage?.completion_tokens || 0;
+  return {
+    at: new Date().toISOString(),
+    step: step || null,
+    model,
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: usage?.total_tokens || prompt + completion,
+    cost: typeof usage?.cost === 'number' ? usage.cost : null,
+    latency_ms,
+  };
+}
+
+/** Append a record to meta.usage (mutates meta) and return the new project totals */
+function recordUsage(meta, record) {
+  const usage = meta.usage || (meta.usage = { calls: [], byStep: {}, totals: emptyTotals() });
+  usage.calls.push(record);
+  const key = record.step || 'other';
+  addToTotals(usage.byStep[key] || (usage.byStep[key] = emptyTotals()), record);
+  addToTotals(usage.totals, record);
+  return usage.totals;
+}
+
+/**
+ * Usage report across projects.
+ * @param {Array<{ project, meta }>} entries
+ * @param {{ from?: string, to?: string, niche?: string }} filters — ISO dates (inclusive), niche substring
+ */
+function usageReport(entries, { from, to, niche } = {}) {
+  const fromTs = from ? Date.parse(from) : -Infinity;
+  // A bare date as `to` covers the whole day
+  const toTs = to ? Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 86400000 - 1 : 0) : Infinity;
+  const nicheQuery = (niche || '').toLowerCase();
+
+  const report = { filters: { from: from || null, to: to || null, niche: niche || null }, totals: emptyTotals(), byStep: {}, byModel: {}, projects: [] };
+
+  for (const { project, meta } of entries) {
+    if (nicheQuery && !(project.niche || '').toLowerCase().includes(nicheQuery)) continue;
+
+    const calls = (meta.usage?.calls || []).filter(c => {
+      const ts = Date.parse(c.at);
+      return ts >= fromTs && ts <= toTs;
+    });
+    if (!calls.length) continue;
+
+    const projectTotals = emptyTotals();
+    for (const call of calls) {
+      addToTotals(projectTotals, call);
+      addToTotals(report.totals, call);
+      addToTotals(report.byStep[call.step || 'other'] || (report.byStep[call.step || 'other'] = emptyTotals()), call);
+      addToTotals(report.byModel[call.model] || (report.byModel[call.model] = emptyTotals()), call);
+    }
+    report.projects.push({ id: project.id, niche: project.niche, geo: project.geo, ...projectTotals });
+  }
+
+  report.projects.sort((a, b) => b.cost - a.cost || b.total_tokens - a.total_tokens);
+  return report;
+}
+
+module.exports = { usageRecord, recordUsage, usageReport, emptyTotals };
@@ -0,0 +1,147 @@
+/**
+ * Server-side API key vault.
+ * Keys are encrypted at rest (AES-256-GCM) with a key derived from KEY_VAULT_SECRET and
+ * assigned to a workspace or to a single project. They never leave the server: listings
+ * expose only the label and the last 4 characters.
+ * A key is only sent to the endpoint it was stored for: OpenRouter keys to OpenRouter, keys of an
+ * OpenAI-compatible endpoint to the base URL saved with them. A project pointed at another base URL
+ * does not get the key.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_WORKSPACE } = require('./auth');
+const { normalizeBaseUrl } = require('./providers');
+const { writeFileAtomicSync, readJsonFileSync } = require('./storage-file');
+
+const KEYS_FILE = path.join(__dirname, 'data', 'keys.json');
+
+let derivedKey = null;
+
+function masterKey() {
+  if (derivedKey) return derivedKey;
+  const secret = process.env.KEY_VAULT_SECRET;
+  if (!secret) throw new Error('KEY_VAULT_SECRET не задан — хранилище ключей недоступно');
+  derivedKey = crypto.scryptSync(secret, 'niche-rating-key-vault', 32);
+  return derivedKey;
+}
+
+function encrypt(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', masterKey(), iv);
+  const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+function decrypt({ iv, tag, data }) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// ============ STORAGE ============
+
+// A keys.json that does not parse throws (CorruptFileError): read as empty, the next write would drop every key
+function readKeys() {
+  return readJsonFileSync(KEYS_FILE, []);
+}
+
+function writeKeys(keys) {
+  writeFileAtomicSync(KEYS_FILE, JSON.stringify(keys, null, 2), { mode: 0o600 });
+}
+
+/** Public view — never includes the secret */
+function describeKey({ secret, ...rest }) {
+  return rest;
+}
+
+function listKeys({ workspaceId, projectId } = {}) {
+  return readKeys()
+    .filter(k => (!workspaceId || k.workspaceId === workspaceId) && (!projectId || k.projectId === projectId))
+    .map(describeKey);
+}
+
+/**
+ * Store a key. With `projectId` it applies to that project only, otherwise to the whole workspace.
+ * A new key replaces the previous one for the same scope and provider.
+ * `baseUrl` — required for 'openai': the only endpoint the key will be sent to.
+ */
+function storeKey({ key, label = '', provider = 'openrouter', baseUrl = null, workspaceId = DEFAULT_WORKSPACE, projectId = null }) {
+  if (!key || typeof key !== 'string') throw new Error('Пустой ключ');
+  if (provider === 'openai' && !normalizeBaseUrl(baseUrl)) throw new Error('Для ключа openai нужен base URL, к которому он привязан');
+
+  const keys = readKeys().filter(k => !(k.provider === provider && k.workspaceId === workspaceId && k.projectId === projectId));
+  const entry = {
+    id: crypto.randomUUID(),
+    label: label || provider,
+    provider,
+    ...(provider === 'openai' ? { baseUrl: normalizeBaseUrl(baseUrl) } : {}),
+    workspaceId,
+    projectId,
+    last4: key.slice(-4),
+    secret: encrypt(key.trim()),
+    created_at: new Date().toISOString(),
+  };
+  keys.push(entry);
+  writeKeys(keys);
+  return describeKey(entry);
+}
+
+function deleteKey(id) {
+  const keys = readKeys();
+  const idx = keys.findIndex(k => k.id === id);
+  if (idx === -1) return false;
+  keys.splice(idx, 1);
+  writeKeys(keys);
+  return true;
+}
+
+/** Drop project-scoped keys of a deleted project */
+function deleteProjectKeys(projectId) {
+  const keys = readKeys();
+  const kept = keys.filter(k => k.projectId !== projectId);
+  if (kept.length !== keys.length) writeKeys(kept);
+}
+
+/** Give a new project (a fork) the project-scoped keys of another one */
+function copyProjectKeys(fromProjectId, toProjectId) {
+  const keys = readKeys();
+  const copies = keys.filter(k => k.projectId === fromProjectId)
+    .map(k => ({ ...k, id: crypto.randomUUID(), projectId: toProjectId, created_at: new Date().toISOString() }));
+  if (copies.length) writeKeys(keys.concat(copies));
+}
+
+// ============ RESOLUTION ============
+
+/**
+ * Key entry that applies to a project for a provider: project key first, then its workspace key.
+ * For 'openai' only keys stored for `baseUrl` apply (keys saved before the binding existed never do).
+ */
+function findKeyEntry(project, provider = 'openrouter', baseUrl = null) {
+  const workspaceId = project.workspace_id || DEFAULT_WORKSPACE;
+  const keys = readKeys().filter(k => k.provider === provider
+    && (provider !== 'openai' || (k.baseUrl && k.baseUrl === normalizeBaseUrl(baseUrl))));
+  return keys.find(k => k.projectId === project.id)
+    || keys.find(k => !k.projectId && k.workspaceId === workspaceId)
+    || null;
+}
+
+/** Decrypted key for a project, or null when none is assigned */
+function resolveApiKey(project, provider = 'openrouter', baseUrl = null) {
+  const entry = findKeyEntry(project, provider, baseUrl);
+  return entry ? decrypt(entry.secret) : null;
+}
+
+module.exports = {
+  listKeys,
+  storeKey,
+  deleteKey,
+  deleteProjectKeys,
+  copyProjectKeys,
+  findKeyEntry,
+  resolveApiKey,
+};
@@ -0,0 +1,147 @@
+/**
+ * Company website verification.
+ * Collects the company links of a generated rating page (blocks with data-company-rank),
+ * turns a downloadSite() result into a verdict and pulls title, description and contacts
+ * from the live page. The pipeline does the downloading (step_verify).
+ *
+ * Verdicts:
+ *   ok          — the site answered
+ *   blocked     — the site exists but refuses bots (401/403/429, robots.txt)
+ *   broken      — HTTP error (404, 5xx...)
+ *   unreachable — timeout, refused connection, TLS error, a DNS failure that is not NXDOMAIN
+ *   invented    — the domain does not exist (NXDOMAIN, see crawler.js) or is a placeholder (example.com, *.invalid);
+ *                 a domain the rating sources list is never "invented", only unreachable
+ *   missing     — the company has no link or the href is not a URL
+ */
+
+// fragmentText: the text of a card or a table cell, entities decoded
+const { extractText, extractTitle, fragmentText: htmlToText } = require('./readability');
+
+const FLAGGED = ['broken', 'unreachable', 'invented', 'missing'];
+
+// Reserved and placeholder domains models fall back to when they make a URL up
+const PLACEHOLDER_HOSTS = /(^|\.)(example\.(com|org|net|ru)|companyname\.(com|ru)|yourcompany\.(com|ru)|yoursite\.(com|ru))$|\.(invalid|test|example|localhost)$/i;
+
+// ============ LINKS ============
+
+function hostOf(url) {
+  try { return new URL(url).hostname.toLowerCase().replace(/^www\./, ''); }
+  catch { return null; }
+}
+
+/**
+ * Company blocks of a generated page: [{ rank, blockId, start, end, html, name, url }], in page order.
+ * A block runs from its data-company-rank tag to the next block tag (a row — to its </tr>);
+ * `start` / `end` are offsets in `html`. Its first external link is the company site;
+ * the name comes from the heading, the first cell with letters or the link text.
+ */
+function companyBlocks(html) {
+  const starts = [...html.matchAll(/<(section|tr|article|div|li)\b[^>]*\bdata-company-rank="(\d+)"[^>]*>/gi)];
+
+  return starts.map((start, i) => {
+    const from = start.index + start[0].length;
+    const limit = i + 1 < starts.length ? starts[i + 1].index : Math.min(html.length, from + 20000);
+    const rest = html.substring(from, limit);
+    const nextBlock = rest.search(start[1].toLowerCase() === 'tr' ? /<\/tr>|<[^>]*\bdata-block-id=/i : /<[^>]*\bdata-block-id=/i);
+    const block = start[0] + (nextBlock === -1 ? rest : rest.substring(0, nextBlock));
+    const rank = parseInt(start[2], 10);
+
+    const link = [...block.matchAll(/<a\b[^>]*\bhref\s*=\s*["']([^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi)]
+      .find(a => /^https?:\/\//i.test(a[1].trim()));
+    const heading = block.match(/<h[2-4][^>]*>([\s\S]*?)<\/h[2-4]>/i)?.[1];
+    const cell = [...block.matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi)]
+      .map(td => htmlToText(td[1]))
+      .find(text => /\p{L}{2,}/u.test(text));
+    const name = htmlToText(heading || cell || link?.[2] || '').replace(/^#?\d+[.)]?\s+/, '').substring(0, 120) || `#${rank}`;
+
+    return {
+      rank,
+      blockId: start[0].match(/data-block-id="([^"]+)"/)?.[1] || null,
+      start: start.index,
+      end: start.index + block.length,
+      html: block,
+      name,
+      url: link ? link[1].trim() : null,
+    };
+  });
+}
+
+/**
+ * Company links of a generated page: [{ rank, name, url, blocks: [data-block-id] }].
+ * The same site in a card and in the table row is one entry with both block ids.
+ */
+function collectCompanyLinks(html) {
+  const byKey = new Map();
+
+  for (const { rank, blockId, name, url } of companyBlocks(html)) {
+    const key = url ? url.replace(/\/+$/, '').toLowerCase() : `rank:${rank}:${name}`;
+    const entry = byKey.get(key);
+    if (entry) {
+      entry.rank = Math.min(entry.rank, rank);
+      if (blockId && !entry.blocks.includes(blockId)) entry.blocks.push(blockId);
+    } else {
+      byKey.set(key, { rank, name, url, blocks: blockId ? [blockId] : [] });
+    }
+  }
+
+  return [...byKey.values()].sort((a, b) => a.rank - b.rank);
+}
+
+// ============ VERDICT ============
+
+/** Verdict before any request: missing / invented for URLs not worth fetching, null otherwise */
+function precheck(url) {
+  const host = url && hostOf(url);
+  if (!host) return 'missing';
+  if (PLACEHOLDER_HOSTS.test(host)) return 'invented';
+  return null;
+}
+
+/** downloadSite() result → verdict; `sourced` — the host was found in the downloaded ratings */
+function verdictOf(result, { sourced = false } = {}) {
+  if (result.robotsBlocked) return 'blocked';
+  if (result.ok || (result.status && result.status < 400)) return 'ok';
+  if ([401, 403, 429].includes(result.status)) return 'blocked';
+  if (result.status) return 'broken';
+  if (result.nxdomain && !sourced) return 'invented';
+  return 'unreachable';
+}
+
+// ============ PAGE FACTS ============
+
+function decodeAttr(value) {
+  return (value || '').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&').replace(/\s+/g, ' ').trim();
+}
+
+function metaContent(html, name) {
+  const tag = [...html.matchAll(/<meta\b[^>]*>/gi)]
+    .map(m => m[0])
+    .find(t => new RegExp(`(name|property)\\s*=\\s*["']${name}["']`, 'i').test(t));
+  return tag ? decodeAttr(tag.match(/content\s*=\s*["']([^"']*)["']/i)?.[1]) : '';
+}
+
+/** Title, a short description and contacts of a live page */
+function pageFacts(html) {
+  const title = extractTitle(html).substring(0, 200);
+  const description = metaContent(html, 'description') || metaContent(html, 'og:description')
+    || extractText(html, { limit: 300 }).replace(/\s+/g, ' ');
+
+  const phones = [...new Set([...html.matchAll(/href\s*=\s*["']tel:([^"']+)["']/gi)].map(m => {
+    try { return decodeURIComponent(m[1]).trim(); }
+    catch { return m[1].trim(); }
+  }))];
+  const emails = [...new Set(
+    [...html.matchAll(/href\s*=\s*["']mailto:([^"'?]+)/gi)].map(m => m[1])
+      .concat(htmlToText(html).match(/[\w.+-]+@[\w-]+(\.[\w-]+)*\.[a-z]{2,}/gi) || [])
+      .map(e => e.toLowerCase())
+      .filter(e => !/\.(png|jpe?g|gif|svg|webp)$/.test(e))
+  )];
+
+  return {
+    title,
+    description: description.substring(0, 300),
+    contacts: { phones: phones.slice(0, 3), emails: emails.slice(0, 3) },
+  };
+}
+
+module.exports = { FLAGGED, companyBlocks, collectCompanyLinks, precheck, verdictOf, pageFacts, hostOf, htmlToText };
@@ -0,0 +1,143 @@
+/**
+ * Version history of a project's page.
+ * Every storage.saveHtml() records a version — { version, source, author, created_at, size, hash, restored_from? } —
+ * next to its HTML, so a step, an editor save or a rollback never destroys an older page.
+ *
+ * Sources:
+ *   step_6 / step_fill — the pipeline steps;  sections — a section retry (sections mode)
+ *   editor  — manual edits;  block — block regeneration in the editor
+ *   footnotes — the "Источники" section switched on/off;  restore — a rollback
+ *   duplicate — copied from another project;  fork — inherited by a project forked at a step (pipeline.js forkState)
+ *   promote — a variant's page chosen as the main project's in the variant comparison
+ *   legacy  — the page a project had before it had a history, kept on its first save
+ *
+ * The editor saves after every change: an editor save within EDITOR_MERGE_MS of the previous editor
+ * version by the same author updates that version instead of adding one. A save identical to the
+ * latest version adds nothing.
+ *
+ * A page keeps its MAX_VERSIONS latest versions: the storage backends delete older ones as new ones come in.
+ * Version numbers keep counting up, so a pruned history starts above 1.
+ */
+
+const crypto = require('crypto');
+
+const VERSION_SOURCES = ['step_6', 'step_fill', 'sections', 'editor', 'block', 'footnotes', 'restore', 'duplicate', 'fork', 'promote', 'legacy'];
+
+const EDITOR_MERGE_MS = 5 * 60 * 1000;
+const MAX_VERSIONS = 200;
+
+// Above this many line pairs the changed middle is shown as replaced wholesale
+const MAX_DIFF_CELLS = 4000000;
+const DIFF_CONTEXT = 3;
+
+// ============ RECORDS ============
+
+const hashHtml = (html) => crypto.createHash('sha1').update(html).digest('hex');
+
+/**
+ * Record for a save after `latest` (null when there are no versions yet):
+ *   { record, replace } — `replace`: overwrite `latest` instead of adding a version
+ *   null — same HTML as the latest version, nothing to record
+ */
+function nextVersion(latest, html, { source = 'editor', author = null, restoredFrom = null } = {}) {
+  const hash = hashHtml(html);
+  if (latest && latest.hash === hash) return null;
+
+  const now = new Date();
+  const replace = Boolean(latest && source === 'editor' && latest.source === 'editor' && latest.author === author
+    && now - new Date(latest.created_at) < EDITOR_MERGE_MS);
+  const record = {
+    version: replace ? latest.version : (latest ? latest.version + 1 : 1),
+    source: VERSION_SOURCES.includes(source) ? source : 'editor',
+    author,
+    created_at: now.toISOString(),
+    size: Buffer.byteLength(html),
+    hash,
+    ...(restoredFrom ? { restored_from: restoredFrom } : {}),
+  };
+  return { record, replace };
+}
+
+/** Once version `latest` is saved, versions up to the returned number are deleted (0 — none) */
+function lastExpiredVersion(latest) {
+  return Math.max(0, latest - MAX_VERSIONS);
+}
+
+// ============ DIFF ============
+
+/** Longest common subsequence table of two line arrays, as pairs of matching indexes */
+function commonLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const pairs = [];
+  for (let i = 0, j = 0; i < n && j < m;) {
+    if (a[i] === b[j]) { pairs.push([i, j]); i++; j++; }
+    else if (table[i + 1][j] >= table[i][j + 1]) i++;
+    else j++;
+  }
+  return pairs;
+}
+
+/**
+ * Line diff of two pages: { added, removed, approximate, hunks: [{ from, to, lines: [{ type, text }] }] }.
+ * `type` is ' ' (unchanged), '-' (only in `before`), '+' (only in `after`); `from` / `to` are 1-based line numbers.
+ */
+function diffHtml(before, after, { context = DIFF_CONTEXT } = {}) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+  const midA = a.slice(head, a.length - tail);
+  const midB = b.slice(head, b.length - tail);
+  const approximate = midA.length * midB.length > MAX_DIFF_CELLS;
+  const pairs = approximate ? [] : commonLines(midA, midB);
+
+  // Full edit script: [type, text, line in before, line in after]
+  const script = [];
+  for (let i = 0; i < head; i++) script.push([' ', a[i], i, i]);
+  let i = 0;
+  let j = 0;
+  for (const [pi, pj] of [...pairs, [midA.length, midB.length]]) {
+    for (; i < pi; i++) script.push(['-', midA[i], head + i, head + j]);
+    for (; j < pj; j++) script.push(['+', midB[j], head + i, head + j]);
+    if (pi < midA.length) script.push([' ', midA[pi], head + pi, head + pj]);
+    i = pi + 1;
+    j = pj + 1;
+  }
+  for (let k = tail; k > 0; k--) script.push([' ', a[a.length - k], a.length - k, b.length - k]);
+
+  // Changes with `context` unchanged lines around them; overlapping ranges share a hunk
+  const ranges = [];
+  script.forEach(([type], idx) => {
+    if (type === ' ') return;
+    const start = Math.max(idx - context, 0);
+    const end = Math.min(idx + context, script.length - 1);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) last.end = end;
+    else ranges.push({ start, end });
+  });
+  const hunks = ranges.map(({ start, end }) => ({
+    from: script[start][2] + 1,
+    to: script[start][3] + 1,
+    lines: script.slice(start, end + 1).map(([type, text]) => ({ type, text })),
+  }));
+
+  return {
+    added: script.filter(s => s[0] === '+').length,
+    removed: script.filter(s => s[0] === '-').length,
+    approximate,
+    hunks,
+  };
+}
+
+module.exports = { VERSION_SOURCES, MAX_VERSIONS, nextVersion, lastExpiredVersion, diffHtml };